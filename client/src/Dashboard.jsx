@@ -1,38 +1,106 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid,
   Tooltip, Legend, ResponsiveContainer,
 } from 'recharts';
+import {
+  BASE, SESSION_ENDED, storeSession, clearSession, refreshSession, setSessionListener,
+  api, downloadFile, tokenClaims, tokenRole,
+} from './api.js';
+import { inputClass } from './ui.js';
+import UsersPage from './UsersPage.jsx';
 
 // ─── shared helpers ────────────────────────────────────────────────────────────
 
-// single fetch wrapper — attaches auth header and throws on non-ok responses
-// VITE_API_URL is empty in dev (vite proxy handles it) and set to the render url in production
-const BASE = import.meta.env.VITE_API_URL ?? '';
-const api = async (path, options = {}, token = null) => {
-  const headers = { 'Content-Type': 'application/json' };
-  if (token) headers['Authorization'] = `Bearer ${token}`;
-  const res = await fetch(BASE + path, { ...options, headers });
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error || 'request failed');
-  return data;
-};
-
 // status -> tailwind badge classes, shared by table rows and the modal
 const statusBadgeClass = (status) => {
   const map = {
     OPEN: 'bg-blue-900 text-blue-300',
     ESCALATED: 'bg-red-900 text-red-300',
+    ACKNOWLEDGED: 'bg-amber-900 text-amber-300',
+    ASSIGNED: 'bg-purple-900 text-purple-300',
     'AUTO-CLOSED': 'bg-gray-700 text-gray-300',
     RESOLVED: 'bg-green-900 text-green-300',
   };
   return `px-2 py-0.5 rounded text-xs font-mono ${map[status] || 'bg-gray-700 text-gray-300'}`;
 };
 
+// the server's canonical scale, most severe first — ingest maps every source onto these five
+const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low', 'info'];
+
 const severityTextClass = {
+  critical: 'text-fuchsia-400',
   high: 'text-red-400',
   medium: 'text-yellow-400',
   low: 'text-green-400',
+  info: 'text-sky-400',
+};
+
+// cards in scale order rather than by count, so "critical" is always in the same place. anything off the
+// scale (rows ingested before normalization) goes last
+const bySeverityLevel = (a, b) =>
+  (SEVERITY_LEVELS.indexOf(a._id) + 1 || 99) - (SEVERITY_LEVELS.indexOf(b._id) + 1 || 99);
+
+// statuses where the escalation SLA clock is running — mirrors SLA_STATUSES in services/escalationPolicy.js
+const SLA_STATUSES = ['ESCALATED', 'ASSIGNED'];
+
+// escalation tier chip — "L2 · due 14:05" while the SLA clock runs, just the tier once someone has picked it up.
+// full: show the deadline with its date, for the modal where there's room
+function EscalationTier({ alert, full = false }) {
+  const { escalation } = alert;
+  if (!escalation) return null;
+
+  let detail = null;
+  if (SLA_STATUSES.includes(alert.status)) {
+    if (escalation.breachedAt) {
+      detail = 'SLA breached';
+    } else if (escalation.slaDueAt) {
+      const due = new Date(escalation.slaDueAt);
+      detail = `due ${full ? due.toLocaleString() : due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+  }
+
+  return (
+    <span className={`text-xs font-mono ${escalation.breachedAt ? 'text-red-400' : 'text-orange-300'}`}>
+      {escalation.tier}
+      {detail && <span className="text-gray-400"> · {detail}</span>}
+    </span>
+  );
+}
+
+// page size for the recent activity table — shared by the paged fetch and live inserts
+const RECENT_LIMIT = 20;
+
+// replace an alert in place if it's already listed, otherwise put it on top (when the list is showing the newest rows)
+const upsertAlert = (list, alert, prepend = true) => {
+  if (list.some((a) => a._id === alert._id)) return list.map((a) => (a._id === alert._id ? alert : a));
+  return prepend ? [alert, ...list].slice(0, RECENT_LIMIT) : list;
+};
+
+// folds one server-sent lifecycle event into the dashboard state — pure, so it can go straight into setData.
+// onFirstPage: a new alert only belongs in the recent table when it's showing the newest page
+const applyAlertEvent = (data, event, alert, onFirstPage) => {
+  const next = { ...data, recentAlerts: upsertAlert(data.recentAlerts, alert, onFirstPage) };
+
+  if (event === 'alert.created') {
+    // new alert, one more in its severity bucket
+    const bySeverity = data.summary.bySeverity.some((s) => s._id === alert.severity)
+      ? data.summary.bySeverity.map((s) => (s._id === alert.severity ? { ...s, count: s.count + 1 } : s))
+      : [...data.summary.bySeverity, { _id: alert.severity, count: 1 }];
+    next.summary = { ...data.summary, bySeverity };
+    if (alert.suppressedBy && data.summary.suppressed) {
+      next.summary.suppressed = { ...data.summary.suppressed, last24h: data.summary.suppressed.last24h + 1 };
+    }
+  }
+
+  if (event === 'alert.auto_closed') {
+    next.autoClosedAlerts = upsertAlert(data.autoClosedAlerts, alert);
+  } else if (data.autoClosedAlerts.some((a) => a._id === alert._id)) {
+    // something closed earlier moved on (e.g. resolved) — keep the auto-closed table honest
+    next.autoClosedAlerts = data.autoClosedAlerts.filter((a) => a._id !== alert._id);
+  }
+
+  return next;
 };
 
 // ─── LoginScreen ───────────────────────────────────────────────────────────────
@@ -73,13 +141,13 @@ function LoginScreen({ form, setForm, error, onSubmit }) {
 // ─── StatCards ─────────────────────────────────────────────────────────────────
 
 // one card per severity level from the summary aggregation
-function StatCards({ bySeverity }) {
+function StatCards({ bySeverity, suppressed }) {
   return (
     <section>
       <h2 className="text-xs text-gray-500 mb-3 uppercase tracking-widest">alerts by severity</h2>
       <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
         {bySeverity.length > 0 ? (
-          bySeverity.map((s) => (
+          [...bySeverity].sort(bySeverityLevel).map((s) => (
             <div key={s._id} className="bg-gray-900 border border-gray-800 rounded-xl px-4 py-3 flex flex-col gap-1">
               <span className={`text-xs uppercase tracking-wider font-medium ${severityTextClass[s._id] || 'text-gray-400'}`}>
                 {s._id}
@@ -90,33 +158,198 @@ function StatCards({ bySeverity }) {
         ) : (
           <p className="col-span-6 text-sm text-gray-500">no alerts ingested yet</p>
         )}
+        {/* muted alerts are kept quiet, not hidden — operators should know a window is swallowing things */}
+        {suppressed && (suppressed.last24h > 0 || suppressed.activeWindows > 0) && (
+          <div className="bg-gray-900 border border-dashed border-gray-700 rounded-xl px-4 py-3 flex flex-col gap-1">
+            <span className="text-xs uppercase tracking-wider font-medium text-gray-400">suppressed 24h</span>
+            <span className="text-3xl font-bold text-gray-300">{suppressed.last24h}</span>
+            <span className="text-xs text-gray-500">
+              {suppressed.activeWindows} active window{suppressed.activeWindows === 1 ? '' : 's'}
+            </span>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+// ─── KpiCards ──────────────────────────────────────────────────────────────────
+
+const METRICS_PERIODS = { '24h': 24, '7d': 168, '30d': 720 };
+
+// from rounded down to the hour, so repeated loads within the hour share the server's cached result
+const metricsPath = (period) => {
+  const from = new Date();
+  from.setMinutes(0, 0, 0);
+  from.setHours(from.getHours() - METRICS_PERIODS[period]);
+  return `/api/alerts/metrics?from=${encodeURIComponent(from.toISOString())}`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)}h`;
+  return `${(seconds / 86400).toFixed(1)}d`;
+};
+
+const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
+
+function KpiCard({ title, value, children }) {
+  return (
+    <div className="bg-gray-900 border border-gray-800 rounded-xl px-4 py-3 flex flex-col gap-1">
+      <span className="text-xs uppercase tracking-wider font-medium text-gray-400">{title}</span>
+      <span className="text-3xl font-bold text-white">{value}</span>
+      <div className="text-xs text-gray-500 flex flex-col gap-0.5">{children}</div>
+    </div>
+  );
+}
+
+// headline numbers for the "how are we doing" question — medians up front, since one alert left
+// open over a weekend drags the mean a long way
+function KpiCards({ metrics, period, onPeriodChange }) {
+  const escalated = metrics?.escalationRate.reduce((n, s) => n + s.escalated, 0) ?? 0;
+  const backlogTotal = metrics?.backlog.reduce((n, b) => n + b.OPEN + b.ESCALATED, 0) ?? 0;
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xs text-gray-500 uppercase tracking-widest">operational metrics</h2>
+        <div className="flex gap-2">
+          {Object.keys(METRICS_PERIODS).map((p) => (
+            <button
+              key={p}
+              onClick={() => onPeriodChange(p)}
+              className={`text-xs px-3 py-1 rounded-lg transition-colors ${
+                period === p ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'
+              }`}
+            >
+              {p}
+            </button>
+          ))}
+        </div>
       </div>
+      {metrics ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+          <KpiCard title="time to acknowledge" value={formatDuration(metrics.timeToAcknowledge.median)}>
+            <span>mean {formatDuration(metrics.timeToAcknowledge.mean)} · p90 {formatDuration(metrics.timeToAcknowledge.p90)}</span>
+            <span>{metrics.timeToAcknowledge.count} acknowledged</span>
+          </KpiCard>
+          <KpiCard title="time to resolve" value={formatDuration(metrics.timeToResolve.median)}>
+            <span>mean {formatDuration(metrics.timeToResolve.mean)} · p90 {formatDuration(metrics.timeToResolve.p90)}</span>
+            <span>{metrics.timeToResolve.count} resolved</span>
+          </KpiCard>
+          <KpiCard title="escalation rate" value={formatPercent(metrics.total ? escalated / metrics.total : null)}>
+            {metrics.escalationRate.slice(0, 3).map((s) => (
+              <span key={s.sourceType}>{s.sourceType} {formatPercent(s.rate)}</span>
+            ))}
+          </KpiCard>
+          <KpiCard title="auto-closed" value={formatPercent(metrics.autoClose.ratio)}>
+            <span>{metrics.autoClose.autoClosed} auto · {metrics.autoClose.resolved} by hand</span>
+          </KpiCard>
+          <KpiCard title="backlog now" value={backlogTotal}>
+            {metrics.backlog.filter((b) => b.OPEN + b.ESCALATED > 0).map((b) => (
+              <span key={b.age}>
+                {b.age}: {b.OPEN} open{b.ESCALATED > 0 && <span className="text-red-400"> · {b.ESCALATED} escalated</span>}
+              </span>
+            ))}
+          </KpiCard>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">loading...</p>
+      )}
     </section>
   );
 }
 
 // ─── TrendsChart ───────────────────────────────────────────────────────────────
 
+// range picker presets — the server picks a sensible default span per granularity, only 30 days needs a from
+const TREND_RANGES = {
+  '24h': { label: '24 hours', granularity: 'hour' },
+  '7d':  { label: '7 days',   granularity: 'day' },
+  '30d': { label: '30 days',  granularity: 'day', days: 30 },
+  '12w': { label: 'quarter',  granularity: 'week' },
+};
+
+// buckets follow the browser's timezone, so "today" on the chart is the viewer's today
+const LOCAL_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const trendsPath = (range, breakdown) => {
+  const { granularity, days } = TREND_RANGES[range];
+  const params = new URLSearchParams({ granularity, tz: LOCAL_TZ });
+  if (days) {
+    // local midnight, so the from stays the same all day and the server's cache can actually hit
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (days - 1));
+    params.set('from', from.toISOString());
+  }
+  if (breakdown) params.set('breakdown', breakdown);
+  return `/api/alerts/trends?${params}`;
+};
+
+// hourly labels carry the date too — the axis only needs the hour
+const formatBucket = (label) => (label.includes('T') ? label.slice(11) : label.slice(5));
+
+const SERIES_COLORS = ['#6366f1', '#f87171', '#fbbf24', '#34d399', '#60a5fa', '#c084fc', '#f472b6', '#9ca3af'];
+
 // line chart on the left, top-5 offending drivers on the right
-function TrendsChart({ trends, topDrivers }) {
+function TrendsChart({ trends, topDrivers, onDriverClick, range, onRangeChange, breakdown, onBreakdownChange }) {
+  // with a breakdown, each value becomes its own line instead of total / escalated / auto-closed
+  const series = breakdown ? Object.keys(trends[0]?.breakdown ?? {}) : [];
+  const chartData = breakdown ? trends.map((t) => ({ date: t.date, ...t.breakdown })) : trends;
+
   return (
     <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
       <div className="lg:col-span-2 bg-gray-900 border border-gray-800 rounded-xl p-5">
-        <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">7-day alert trends</h2>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h2 className="text-xs text-gray-500 uppercase tracking-widest">alert trends</h2>
+          <div className="flex items-center gap-2">
+            {Object.entries(TREND_RANGES).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => onRangeChange(key)}
+                className={`text-xs px-3 py-1 rounded-lg transition-colors ${
+                  range === key ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            <select
+              className="bg-gray-800 text-gray-300 rounded-lg px-2 py-1 text-xs border border-gray-700 focus:outline-none"
+              value={breakdown}
+              onChange={(e) => onBreakdownChange(e.target.value)}
+            >
+              <option value="">by status</option>
+              <option value="sourceType">by source type</option>
+              <option value="severity">by severity</option>
+            </select>
+          </div>
+        </div>
         {trends.length > 0 ? (
           <ResponsiveContainer width="100%" height={220}>
-            <LineChart data={trends}>
+            <LineChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
-              <XAxis dataKey="date" tick={{ fill: '#6b7280', fontSize: 11 }} />
+              <XAxis dataKey="date" tickFormatter={formatBucket} tick={{ fill: '#6b7280', fontSize: 11 }} />
               <YAxis tick={{ fill: '#6b7280', fontSize: 11 }} allowDecimals={false} />
               <Tooltip
                 contentStyle={{ backgroundColor: '#111827', border: '1px solid #374151', borderRadius: 8 }}
                 labelStyle={{ color: '#e5e7eb' }}
               />
               <Legend wrapperStyle={{ fontSize: 12 }} />
-              <Line type="monotone" dataKey="total"      stroke="#6366f1" strokeWidth={2} dot={false} name="total"       />
-              <Line type="monotone" dataKey="escalated"  stroke="#f87171" strokeWidth={2} dot={false} name="escalated"   />
-              <Line type="monotone" dataKey="autoClosed" stroke="#6b7280" strokeWidth={2} dot={false} name="auto-closed" />
+              {breakdown ? (
+                series.map((key, i) => (
+                  <Line key={key} type="monotone" dataKey={key} stroke={SERIES_COLORS[i % SERIES_COLORS.length]} strokeWidth={2} dot={false} name={key} />
+                ))
+              ) : (
+                [
+                  <Line key="total"      type="monotone" dataKey="total"      stroke="#6366f1" strokeWidth={2} dot={false} name="total"       />,
+                  <Line key="escalated"  type="monotone" dataKey="escalated"  stroke="#f87171" strokeWidth={2} dot={false} name="escalated"   />,
+                  <Line key="autoClosed" type="monotone" dataKey="autoClosed" stroke="#6b7280" strokeWidth={2} dot={false} name="auto-closed" />,
+                ]
+              )}
             </LineChart>
           </ResponsiveContainer>
         ) : (
@@ -125,16 +358,24 @@ function TrendsChart({ trends, topDrivers }) {
       </div>
 
       <div className="bg-gray-900 border border-gray-800 rounded-xl p-5">
-        <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">top 5 drivers</h2>
+        {/* ranked by risk score over 30 days, not raw counts — severity, escalations and recency all weigh in */}
+        <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">riskiest drivers · 30d</h2>
         {topDrivers.length > 0 ? (
-          <ol className="flex flex-col gap-3">
+          <ol className="flex flex-col gap-1">
             {topDrivers.map((d, i) => (
-              <li key={d.driverId} className="flex items-center justify-between gap-2">
+              <li
+                key={d.driverId}
+                onClick={() => onDriverClick(d.driverId)}
+                className="flex items-center justify-between gap-2 rounded-lg px-2 py-1.5 -mx-2 hover:bg-gray-800 cursor-pointer transition-colors"
+              >
                 <div className="flex items-center gap-2 min-w-0">
                   <span className="text-xs text-gray-600 w-4 shrink-0">{i + 1}.</span>
                   <span className="text-sm text-gray-200 truncate" title={d.driverId}>{d.driverId}</span>
                 </div>
-                <span className="text-sm font-bold text-red-400 shrink-0">{d.alertCount}</span>
+                <span className="flex items-baseline gap-2 shrink-0">
+                  <span className="text-xs text-gray-500">{d.alerts} alerts</span>
+                  <span className="text-sm font-bold text-red-400" title="risk score">{d.riskScore}</span>
+                </span>
               </li>
             ))}
           </ol>
@@ -149,16 +390,64 @@ function TrendsChart({ trends, topDrivers }) {
   );
 }
 
+// ─── ExportButton ──────────────────────────────────────────────────────────────
+
+// metadata worth a column in every export — the rest stays behind ?metadata= for api callers
+const EXPORT_METADATA = ['driverId', 'vehicleId', 'closureNote'];
+
+// downloads everything matching the table's filters, not just the rows on screen
+function ExportButton({ token, query }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (format) => {
+    setBusy(true);
+    setError('');
+    try {
+      const params = new URLSearchParams(query);
+      params.set('format', format);
+      params.set('metadata', EXPORT_METADATA.join(','));
+      const date = new Date().toISOString().slice(0, 10);
+      await downloadFile(`/api/alerts/export?${params}`, token, `alerts-${date}.${format}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      {error && <span className="text-red-400">{error}</span>}
+      <span className="text-gray-500">{busy ? 'exporting…' : 'export'}</span>
+      {['csv', 'ndjson'].map((format) => (
+        <button
+          key={format}
+          onClick={() => run(format)}
+          disabled={busy}
+          className="px-2 py-1 rounded-lg bg-gray-800 text-gray-400 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+        >
+          {format}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 // ─── RecentAlertsTable ────────────────────────────────────────────────────────
 
-// shows up to 20 recent alerts across all states; collapses to 5 rows by default
-function RecentAlertsTable({ alerts, onRowClick }) {
+// one cursor-paged slice of alerts across all states; collapses to 5 rows by default and pages when expanded.
+// rows that just escalated over the live stream pulse red for a few seconds
+function RecentAlertsTable({ alerts, onRowClick, highlighted, page, hasNext, onNext, onPrev, token }) {
   const [showAll, setShowAll] = useState(false);
   const visible = showAll ? alerts : alerts.slice(0, 5);
 
   return (
     <section className="bg-gray-900 border border-gray-800 rounded-xl p-5">
-      <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">recent alert activity</h2>
+      <div className="flex items-center justify-between mb-4 gap-4 flex-wrap">
+        <h2 className="text-xs text-gray-500 uppercase tracking-widest">recent alert activity</h2>
+        {alerts.length > 0 && <ExportButton token={token} query={{}} />}
+      </div>
       {alerts.length > 0 ? (
         <>
           <div className="overflow-x-auto">
@@ -176,14 +465,20 @@ function RecentAlertsTable({ alerts, onRowClick }) {
                 {visible.map((a) => (
                   <tr
                     key={a._id}
-                    className="border-b border-gray-800 hover:bg-gray-800/60 cursor-pointer transition-colors"
+                    className={`border-b border-gray-800 hover:bg-gray-800/60 cursor-pointer transition-colors ${
+                      highlighted.has(a._id) ? 'bg-red-950/60 animate-pulse' : ''
+                    }`}
                     onClick={() => onRowClick(a)}
                   >
                     <td className="py-2.5 pr-6 font-mono text-indigo-400 text-xs">{a.alertid}</td>
                     <td className="py-2.5 pr-6 text-gray-300">{a.sourceType}</td>
                     <td className={`py-2.5 pr-6 ${severityTextClass[a.severity] || 'text-gray-300'}`}>{a.severity}</td>
                     <td className="py-2.5 pr-6">
-                      <span className={statusBadgeClass(a.status)}>{a.status}</span>
+                      <div className="flex items-center gap-2">
+                        <span className={statusBadgeClass(a.status)}>{a.status}</span>
+                        <EscalationTier alert={a} />
+                        {a.suppressedBy && <span className="text-xs text-gray-500 italic">suppressed</span>}
+                      </div>
                     </td>
                     <td className="py-2.5 text-gray-400 text-xs">{new Date(a.timestamp).toLocaleString()}</td>
                   </tr>
@@ -191,14 +486,36 @@ function RecentAlertsTable({ alerts, onRowClick }) {
               </tbody>
             </table>
           </div>
-          {alerts.length > 5 && (
-            <button
-              onClick={() => setShowAll((v) => !v)}
-              className="mt-3 text-xs text-indigo-400 hover:text-indigo-300 transition-colors"
-            >
-              {showAll ? 'show less' : `show all ${alerts.length} alerts`}
-            </button>
-          )}
+          <div className="mt-3 flex items-center justify-between gap-4">
+            {alerts.length > 5 || page > 0 ? (
+              <button
+                onClick={() => setShowAll((v) => !v)}
+                className="text-xs text-indigo-400 hover:text-indigo-300 transition-colors"
+              >
+                {showAll ? 'show less' : `show all ${alerts.length} alerts`}
+              </button>
+            ) : <span />}
+            {/* paging only makes sense once the full page is visible */}
+            {showAll && (page > 0 || hasNext) && (
+              <div className="flex items-center gap-3 text-xs">
+                <button
+                  onClick={onPrev}
+                  disabled={page === 0}
+                  className="text-gray-400 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+                >
+                  ← newer
+                </button>
+                <span className="text-gray-600">page {page + 1}</span>
+                <button
+                  onClick={onNext}
+                  disabled={!hasNext}
+                  className="text-gray-400 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+                >
+                  older →
+                </button>
+              </div>
+            )}
+          </div>
         </>
       ) : (
         <p className="text-sm text-gray-500 py-4 text-center">no alerts ingested yet</p>
@@ -210,12 +527,13 @@ function RecentAlertsTable({ alerts, onRowClick }) {
 // ─── AlertsTable ───────────────────────────────────────────────────────────────
 
 // auto-closed alerts with a time-range filter
-function AlertsTable({ alerts, onRowClick, timeFilter, onTimeFilterChange }) {
+function AlertsTable({ alerts, onRowClick, timeFilter, onTimeFilterChange, token, exportQuery }) {
   return (
     <section className="bg-gray-900 border border-gray-800 rounded-xl p-5">
       <div className="flex items-center justify-between mb-4 gap-4 flex-wrap">
         <h2 className="text-xs text-gray-500 uppercase tracking-widest">auto-closed alerts</h2>
-        <div className="flex gap-2">
+        <div className="flex items-center gap-2 flex-wrap">
+          {alerts.length > 0 && <ExportButton token={token} query={exportQuery} />}
           {['24h', '48h', '7d'].map((f) => (
             <button
               key={f}
@@ -268,13 +586,248 @@ function AlertsTable({ alerts, onRowClick, timeFilter, onTimeFilterChange }) {
   );
 }
 
+// ─── IncidentsTable ────────────────────────────────────────────────────────────
+
+// incident statuses are rolled up from the member alerts, so they reuse the alert badge colours
+// (ACKNOWLEDGED here means every live alert in it has an owner)
+function IncidentsTable({ incidents, onRowClick }) {
+  return (
+    <section className="bg-gray-900 border border-gray-800 rounded-xl p-5">
+      <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">open incidents</h2>
+      {incidents.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-800">
+                <th className="pb-2 pr-6 font-normal">incident</th>
+                <th className="pb-2 pr-6 font-normal">severity</th>
+                <th className="pb-2 pr-6 font-normal">state</th>
+                <th className="pb-2 pr-6 font-normal">alerts</th>
+                <th className="pb-2 font-normal">last alert</th>
+              </tr>
+            </thead>
+            <tbody>
+              {incidents.map((i) => (
+                <tr
+                  key={i._id}
+                  className="border-b border-gray-800 hover:bg-gray-800/60 cursor-pointer transition-colors"
+                  onClick={() => onRowClick(i)}
+                >
+                  <td className="py-2.5 pr-6 font-mono text-indigo-400 text-xs">{i.key}</td>
+                  <td className={`py-2.5 pr-6 ${severityTextClass[i.severity] || 'text-gray-300'}`}>{i.severity}</td>
+                  <td className="py-2.5 pr-6">
+                    <span className={statusBadgeClass(i.status)}>{i.status}</span>
+                  </td>
+                  <td className="py-2.5 pr-6 text-gray-300">{i.alertCount}</td>
+                  <td className="py-2.5 text-gray-400 text-xs">{new Date(i.lastAlertAt).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 py-4 text-center">no open incidents</p>
+      )}
+    </section>
+  );
+}
+
+// incident detail — member alerts (click one to drill into it) and a single resolve-them-all action
+function IncidentModal({ selectedIncident, onClose, onAlertClick, onResolve, busy, error }) {
+  const [note, setNote] = useState('');
+  if (!selectedIncident) return null;
+  const { incident, alerts } = selectedIncident;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="bg-gray-900 border border-gray-700 rounded-2xl p-6 w-full max-w-lg shadow-2xl overflow-y-auto max-h-[90vh] flex flex-col gap-5">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <p className="text-xs text-gray-500 mb-1">incident · {incident.rule}</p>
+            <h2 className="text-base font-semibold text-white font-mono break-all">{incident.key}</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-white text-xs transition-colors shrink-0">
+            close
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3 flex-wrap text-xs text-gray-400">
+          <span className={statusBadgeClass(incident.status)}>{incident.status}</span>
+          <span className={severityTextClass[incident.severity] || 'text-gray-300'}>{incident.severity}</span>
+          <span>
+            {new Date(incident.firstAlertAt).toLocaleString()} → {new Date(incident.lastAlertAt).toLocaleString()}
+          </span>
+        </div>
+
+        <div>
+          <p className="text-xs text-gray-500 uppercase tracking-wider mb-3">alerts ({alerts.length})</p>
+          <ul className="flex flex-col gap-2">
+            {alerts.map((a) => (
+              <li
+                key={a._id}
+                onClick={() => onAlertClick(a)}
+                className="flex items-center justify-between gap-3 bg-gray-800 hover:bg-gray-700 rounded-lg px-3 py-2 cursor-pointer transition-colors"
+              >
+                <span className="font-mono text-xs text-indigo-400">{a.alertid}</span>
+                <span className="text-xs text-gray-500">{new Date(a.timestamp).toLocaleString()}</span>
+                <span className={statusBadgeClass(a.status)}>{a.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        {incident.status !== 'RESOLVED' ? (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              onResolve(note.trim());
+            }}
+            className="flex gap-2"
+          >
+            <input
+              className={`${inputClass} flex-1`}
+              placeholder="resolution note (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-green-700 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-xs px-4 rounded-lg transition-colors"
+            >
+              {busy ? 'resolving...' : 'resolve all'}
+            </button>
+          </form>
+        ) : (
+          <p className="text-center text-sm text-green-400">
+            resolved{incident.resolvedBy ? ` by ${incident.resolvedBy}` : ''}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── DriverModal ───────────────────────────────────────────────────────────────
+
+// one driver's profile — score, what kind of alerts they get, a daily trend and their latest alerts
+function DriverModal({ profile, onClose, onAlertClick }) {
+  if (!profile) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="bg-gray-900 border border-gray-700 rounded-2xl p-6 w-full max-w-2xl shadow-2xl overflow-y-auto max-h-[90vh] flex flex-col gap-5">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <p className="text-xs text-gray-500 mb-1">driver · last 30 days</p>
+            <h2 className="text-base font-semibold text-white font-mono break-all">{profile.driverId}</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-white text-xs transition-colors shrink-0">
+            close
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <KpiCard title="risk score" value={profile.riskScore} />
+          <KpiCard title="alerts" value={profile.alerts} />
+          <KpiCard title="escalated" value={profile.escalated} />
+        </div>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-2 text-xs">
+          <div className="flex flex-wrap gap-2">
+            {profile.bySourceType.map((s) => (
+              <span key={s.sourceType} className="text-gray-300">
+                {s.sourceType} <span className="text-gray-500">{s.count}</span>
+              </span>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {profile.bySeverity.map((s) => (
+              <span key={s.severity} className={severityTextClass[s.severity] || 'text-gray-300'}>
+                {s.severity} <span className="text-gray-500">{s.count}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <ResponsiveContainer width="100%" height={140}>
+          <LineChart data={profile.trend}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+            <XAxis dataKey="date" tickFormatter={formatBucket} tick={{ fill: '#6b7280', fontSize: 10 }} />
+            <YAxis tick={{ fill: '#6b7280', fontSize: 10 }} allowDecimals={false} width={24} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#111827', border: '1px solid #374151', borderRadius: 8 }}
+              labelStyle={{ color: '#e5e7eb' }}
+            />
+            <Line type="monotone" dataKey="total"     stroke="#6366f1" strokeWidth={2} dot={false} name="alerts"    />
+            <Line type="monotone" dataKey="escalated" stroke="#f87171" strokeWidth={2} dot={false} name="escalated" />
+          </LineChart>
+        </ResponsiveContainer>
+
+        <div>
+          <p className="text-xs text-gray-500 uppercase tracking-wider mb-3">latest alerts</p>
+          <ul className="flex flex-col gap-2">
+            {profile.recentAlerts.map((a) => (
+              <li
+                key={a._id}
+                onClick={() => onAlertClick(a)}
+                className="flex items-center justify-between gap-3 bg-gray-800 hover:bg-gray-700 rounded-lg px-3 py-2 cursor-pointer transition-colors"
+              >
+                <span className="font-mono text-xs text-indigo-400">{a.alertid}</span>
+                <span className="text-xs text-gray-400">{a.sourceType}</span>
+                <span className={`text-xs ${severityTextClass[a.severity] || 'text-gray-300'}`}>{a.severity}</span>
+                <span className="text-xs text-gray-500">{new Date(a.timestamp).toLocaleString()}</span>
+                <span className={statusBadgeClass(a.status)}>{a.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ─── DrillDownModal ────────────────────────────────────────────────────────────
 
-// full alert detail overlay — state timeline, metadata dump, and resolve action
-function DrillDownModal({ selectedAlert, onClose, onResolve, resolving }) {
+// states someone can still pick up — mirrors the transition table in services/alertStateMachine.js,
+// which is what actually decides; anything else is closed and can only be reopened
+const WORKABLE = ['OPEN', 'ESCALATED', 'ACKNOWLEDGED', 'ASSIGNED'];
+
+// full alert detail overlay — state timeline, metadata dump, and the operator actions
+// (acknowledge, assign/reassign, resolve, reopen). busy is the name of the action in flight, if any
+function DrillDownModal({ selectedAlert, onClose, onAction, busy, actionError, me }) {
+  const [assignee, setAssignee] = useState('');
+  const [reopenReason, setReopenReason] = useState('');
   if (!selectedAlert) return null;
   const { alert, history } = selectedAlert;
 
+  // someone else's alert can be reassigned, but only its owner acknowledges it
+  const canAcknowledge = WORKABLE.includes(alert.status) && alert.status !== 'ACKNOWLEDGED'
+    && (!alert.assignedTo || alert.assignedTo === me);
+  const assignAction = alert.assignedTo ? 'reassign' : 'assign';
+
+  const submitAssign = (e) => {
+    e.preventDefault();
+    if (!assignee.trim()) return;
+    onAction(assignAction, { assignee: assignee.trim() });
+    setAssignee('');
+  };
+
+  const submitReopen = (e) => {
+    e.preventDefault();
+    if (!reopenReason.trim()) return;
+    onAction('reopen', { reason: reopenReason.trim() });
+    setReopenReason('');
+  };
+
   return (
     <div
       className="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4"
@@ -291,7 +844,25 @@ function DrillDownModal({ selectedAlert, onClose, onResolve, resolving }) {
           </button>
         </div>
 
-        <span className={statusBadgeClass(alert.status)}>{alert.status}</span>
+        <div className="flex items-center gap-3 flex-wrap">
+          <span className={statusBadgeClass(alert.status)}>{alert.status}</span>
+          <span className={`text-xs ${severityTextClass[alert.severity] || 'text-gray-300'}`}>
+            {alert.severity}
+            {/* a rule or tier raised it — show what the source actually reported */}
+            {alert.reportedSeverity && alert.reportedSeverity !== alert.severity && (
+              <span className="text-gray-500"> (reported {alert.reportedSeverity})</span>
+            )}
+          </span>
+          <EscalationTier alert={alert} full />
+          {alert.suppressedBy && (
+            <span className="text-xs text-gray-500 italic">suppressed by a maintenance window — not escalated or notified</span>
+          )}
+          {alert.assignedTo && (
+            <span className="text-xs text-gray-400">
+              owner <span className="text-gray-200">{alert.assignedTo === me ? 'you' : alert.assignedTo}</span>
+            </span>
+          )}
+        </div>
 
         <div className="bg-gray-800 rounded-xl p-4">
           <p className="text-xs text-gray-500 uppercase tracking-wider mb-2">metadata</p>
@@ -307,24 +878,88 @@ function DrillDownModal({ selectedAlert, onClose, onResolve, resolving }) {
               <li key={i} className="ml-5">
                 <span className="absolute -left-1.5 mt-0.5 w-3 h-3 rounded-full bg-indigo-600 border-2 border-gray-900" />
                 <span className={statusBadgeClass(h.status)}>{h.status}</span>
-                <p className="text-xs text-gray-500 mt-1">{new Date(h.at).toLocaleString()}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {new Date(h.at).toLocaleString()} · <span className="text-gray-300">{h.actor}</span>
+                  {h.synthesized && <span className="italic"> · reconstructed</span>}
+                </p>
+                {/* rule + reason is what incident reviews actually need — why the state changed, not just when */}
+                {(h.rule || h.reason) && (
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {h.rule && <span className="font-mono text-indigo-400">{h.rule}</span>}
+                    {h.rule && h.reason && ' — '}
+                    {h.reason}
+                  </p>
+                )}
               </li>
             ))}
           </ol>
         </div>
 
-        {alert.status !== 'RESOLVED' ? (
+        {WORKABLE.includes(alert.status) && (
+          <div className="flex flex-col gap-3">
+            {canAcknowledge && (
+              <button
+                onClick={() => onAction('acknowledge')}
+                disabled={Boolean(busy)}
+                className="w-full bg-amber-700 hover:bg-amber-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm py-2.5 rounded-xl transition-colors font-medium"
+              >
+                {busy === 'acknowledge' ? 'acknowledging...' : "acknowledge — i'm on it"}
+              </button>
+            )}
+            <form onSubmit={submitAssign} className="flex gap-2">
+              <input
+                className={`${inputClass} flex-1`}
+                type="email"
+                placeholder="teammate email"
+                value={assignee}
+                onChange={(e) => setAssignee(e.target.value)}
+              />
+              <button
+                type="submit"
+                disabled={Boolean(busy) || !assignee.trim()}
+                className="bg-purple-700 hover:bg-purple-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-xs px-4 rounded-lg transition-colors"
+              >
+                {busy === assignAction ? `${assignAction}ing...` : assignAction}
+              </button>
+            </form>
+          </div>
+        )}
+
+        {/* the server's 409 message says why (e.g. "alert is assigned to x"), so show it verbatim */}
+        {actionError && <p className="text-xs text-red-400">{actionError}</p>}
+
+        {WORKABLE.includes(alert.status) ? (
           <button
-            onClick={onResolve}
-            disabled={resolving}
+            onClick={() => onAction('resolve')}
+            disabled={Boolean(busy)}
             className="w-full bg-green-700 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm py-2.5 rounded-xl transition-colors font-medium"
           >
-            {resolving ? 'resolving...' : 'mark as resolved'}
+            {busy === 'resolve' ? 'resolving...' : 'mark as resolved'}
           </button>
         ) : (
-          <p className="text-center text-sm text-green-400">
-            resolved by {alert.metadata?.resolvedBy ?? 'unknown'}
-          </p>
+          <div className="flex flex-col gap-3">
+            {alert.status === 'RESOLVED' && (
+              <p className="text-center text-sm text-green-400">
+                resolved by {alert.metadata?.resolvedBy ?? 'unknown'}
+              </p>
+            )}
+            {/* closed by mistake? reopening needs a reason so the timeline explains itself */}
+            <form onSubmit={submitReopen} className="flex gap-2">
+              <input
+                className={`${inputClass} flex-1`}
+                placeholder="why reopen?"
+                value={reopenReason}
+                onChange={(e) => setReopenReason(e.target.value)}
+              />
+              <button
+                type="submit"
+                disabled={Boolean(busy) || !reopenReason.trim()}
+                className="bg-indigo-700 hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-xs px-4 rounded-lg transition-colors"
+              >
+                {busy === 'reopen' ? 'reopening...' : 'reopen'}
+              </button>
+            </form>
+          </div>
         )}
       </div>
     </div>
@@ -337,15 +972,57 @@ function DrillDownModal({ selectedAlert, onClose, onResolve, resolving }) {
 const EMPTY_DATA = {
   summary: { bySeverity: [], topDrivers: [] },
   trends: [],
+  metrics: null,
+  drivers: [],
   recentAlerts: [],
+  recentNextCursor: null,
   autoClosedAlerts: [],
+  incidents: [],
   rulesConfig: null,
 };
 
+// everything not yet resolved, newest activity first
+const OPEN_INCIDENTS_PATH = '/api/incidents?status=OPEN,ESCALATED,ACKNOWLEDGED&limit=20';
+
+// errors that mean the token is no use any more, not that the request failed
+const SIGNED_OUT_ERRORS = ['invalid token', 'session revoked, please log in again', SESSION_ENDED];
+
+// how long the live stream waits before reconnecting after a drop — the same as the server's retry hint
+const STREAM_RECONNECT_MS = 5000;
+
 export default function Dashboard() {
   // token lives in localStorage so a page refresh doesn't log the user out
   const [token, setToken] = useState(() => localStorage.getItem('token'));
 
+  // silent refresh swaps the token under us — and a failed one means the session is over
+  useEffect(() => {
+    const onSessionChange = (t) => {
+      setToken(t);
+      if (!t) setData(EMPTY_DATA);
+    };
+    setSessionListener(onSessionChange);
+    // another tab refreshed or signed out — follow it so this tab's timer re-arms off the new token. this
+    // only narrows the window: tabs whose timers fire together are kept apart by the lock in refreshSession
+    const onStorage = (e) => {
+      if (e.key === 'token') onSessionChange(e.newValue);
+    };
+    window.addEventListener('storage', onStorage);
+    return () => {
+      setSessionListener(null);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  // refresh a minute before the access token runs out instead of waiting for a 401
+  useEffect(() => {
+    const { exp } = token ? tokenClaims(token) : {};
+    if (!exp) return;
+    const timer = setTimeout(() => {
+      refreshSession().catch((err) => console.error('token refresh failed:', err));
+    }, Math.max(exp * 1000 - Date.now() - 60 * 1000, 0));
+    return () => clearTimeout(timer);
+  }, [token]);
+
   const [loginForm, setLoginForm]     = useState({ email: '', password: '' });
   const [loginError, setLoginError]   = useState('');
 
@@ -353,9 +1030,28 @@ export default function Dashboard() {
   const [data, setData] = useState(EMPTY_DATA);
 
   const [timeFilter, setTimeFilter]       = useState('24h');
+  const [trendRange, setTrendRange]       = useState('7d');
+  const [trendBreakdown, setTrendBreakdown] = useState('');
+  const [metricsPeriod, setMetricsPeriod] = useState('7d');
+  const [selectedDriver, setSelectedDriver] = useState(null);
   const [selectedAlert, setSelectedAlert] = useState(null);
   const [loading, setLoading]             = useState(false);
-  const [resolving, setResolving]         = useState(false);
+  const [busyAction, setBusyAction]       = useState(null);
+  const [actionError, setActionError]     = useState('');
+  const [live, setLive]                   = useState(false);
+  const [highlighted, setHighlighted]     = useState(() => new Set());
+  const [selectedIncident, setSelectedIncident] = useState(null);
+  const [incidentBusy, setIncidentBusy]         = useState(false);
+  const [incidentError, setIncidentError]       = useState('');
+  const [view, setView]                         = useState('alerts'); // 'alerts' | 'users' (admins only)
+
+  // cursors for the recent-activity pages visited so far — pageCursors[i] fetched page i, page 0 is always null
+  const [pageCursors, setPageCursors] = useState([null]);
+  // the sse handler is registered once per sign-in, so it reads the current page through a ref instead of state
+  const onFirstPageRef = useRef(true);
+  useEffect(() => {
+    onFirstPageRef.current = pageCursors.length === 1;
+  }, [pageCursors]);
 
   const getFilterDate = useCallback(() => {
     const now = new Date();
@@ -368,74 +1064,269 @@ export default function Dashboard() {
     setLoading(true);
     try {
       // all requests fire in parallel — no serial waterfall
-      const [summary, trends, recentAlerts, autoClosedAlerts, rulesConfig] = await Promise.all([
+      const [summary, trends, metrics, leaderboard, recentPage, autoClosedPage, incidents, rulesConfig] = await Promise.all([
         api('/api/alerts/summary', {}, tok),
-        api('/api/alerts/trends', {}, tok),
-        api('/api/alerts?limit=20', {}, tok),
+        api(trendsPath(trendRange, trendBreakdown), {}, tok),
+        api(metricsPath(metricsPeriod), {}, tok),
+        api('/api/drivers?period=30d&limit=5', {}, tok),
+        api(`/api/alerts?limit=${RECENT_LIMIT}`, {}, tok),
         api(`/api/alerts?status=AUTO-CLOSED&since=${getFilterDate()}&limit=20`, {}, tok),
-        api('/api/rules/config', {}, tok),
+        api(OPEN_INCIDENTS_PATH, {}, tok),
+        // rules config is admin-only on the server — operators skip the call instead of failing the whole batch
+        tokenRole(tok) === 'admin' ? api('/api/rules/config', {}, tok) : Promise.resolve(null),
       ]);
-      setData({ summary, trends, recentAlerts, autoClosedAlerts, rulesConfig });
+      setData({
+        summary,
+        trends,
+        metrics,
+        drivers: leaderboard.drivers,
+        recentAlerts: recentPage.data,
+        recentNextCursor: recentPage.nextCursor,
+        autoClosedAlerts: autoClosedPage.data,
+        incidents,
+        rulesConfig,
+      });
+      setPageCursors([null]); // a full refresh always lands back on the newest page
     } catch (err) {
       console.error('dashboard fetch failed:', err);
-      // stale or invalid token — kick back to login
-      if (err.message === 'token expired, please log in again' || err.message === 'invalid token') {
-        localStorage.removeItem('token');
+      // revoked or unusable token — kick back to login. an expired one was already refreshed inside api()
+      if (SIGNED_OUT_ERRORS.includes(err.message)) {
+        clearSession();
         setToken(null);
       }
     } finally {
       setLoading(false);
     }
-  }, [getFilterDate]);
+  }, [getFilterDate, trendRange, trendBreakdown, metricsPeriod]);
+
+  // the silent refresh swaps the token every few minutes — effects that only need *a* valid token read it
+  // through a ref and key off being signed in, so a rotation doesn't refetch everything or reset the paging
+  const signedIn = token !== null;
+  const tokenRef = useRef(token);
+  useEffect(() => {
+    tokenRef.current = token;
+  }, [token]);
+
+  // re-fetch on sign-in or whenever any of the time filters change
+  useEffect(() => {
+    if (!signedIn) return;
+    fetchDashboard(tokenRef.current);
+  }, [signedIn, timeFilter, fetchDashboard]);
+
+  // fetches one page of the recent activity table without touching the rest of the dashboard
+  const loadRecentPage = async (cursors) => {
+    const cursor = cursors[cursors.length - 1];
+    try {
+      const page = await api(
+        `/api/alerts?limit=${RECENT_LIMIT}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`,
+        {},
+        token
+      );
+      setData((d) => ({ ...d, recentAlerts: page.data, recentNextCursor: page.nextCursor }));
+      setPageCursors(cursors);
+    } catch (err) {
+      console.error('failed to load alerts page:', err);
+    }
+  };
 
-  // re-fetch whenever the token arrives or the time filter changes
+  // live updates over sse — EventSource can't send headers, so each connect trades the access token for a
+  // one-time stream ticket. the stream follows the session rather than the token, so it stays open across
+  // silent refreshes; after a drop a ticket can't be replayed, so reconnecting means asking for a new one
   useEffect(() => {
-    if (!token) return;
-    fetchDashboard(token);
-  }, [token, timeFilter, fetchDashboard]);
+    if (!signedIn) return;
+
+    let source = null;
+    let closed = false;
+    let reconnectTimer = null;
+    const timers = [];
+    let incidentTimer = null;
+    let summaryTimer = null;
+
+    // incidents are rolled up on the server after the alert event goes out, so wait a moment and re-read
+    // them rather than guessing the roll-up here. a burst of events collapses into one fetch
+    const refreshIncidents = () => {
+      clearTimeout(incidentTimer);
+      incidentTimer = setTimeout(() => {
+        api(OPEN_INCIDENTS_PATH, {}, tokenRef.current)
+          .then((incidents) => setData((d) => ({ ...d, incidents })))
+          .catch((err) => console.error('failed to refresh incidents:', err));
+      }, 1500);
+    };
+
+    // an escalation or tier promotion may have raised the alert's severity, and the event only carries the new
+    // one — re-read the summary instead of guessing which bucket it left. debounced the same way as incidents
+    const refreshSummary = () => {
+      clearTimeout(summaryTimer);
+      summaryTimer = setTimeout(() => {
+        api('/api/alerts/summary', {}, tokenRef.current)
+          .then((summary) => setData((d) => ({ ...d, summary })))
+          .catch((err) => console.error('failed to refresh summary:', err));
+      }, 1500);
+    };
+
+    const handle = (event) => (msg) => {
+      const alert = JSON.parse(msg.data);
+      setData((d) => applyAlertEvent(d, event, alert, onFirstPageRef.current));
+      if (alert.incident) refreshIncidents();
+      if (event === 'alert.escalated' || event === 'alert.tier_promoted') refreshSummary();
+
+      // a tier promotion is a fresh escalation as far as whoever's watching is concerned
+      if (event === 'alert.escalated' || event === 'alert.tier_promoted') {
+        setHighlighted((h) => new Set(h).add(alert._id));
+        // fade the highlight after a while so the table doesn't end up permanently red
+        timers.push(setTimeout(() => {
+          setHighlighted((h) => {
+            const next = new Set(h);
+            next.delete(alert._id);
+            return next;
+          });
+        }, 10000));
+      }
+    };
+
+    const events = [
+      'alert.created', 'alert.escalated', 'alert.acknowledged', 'alert.assigned', 'alert.auto_closed', 'alert.resolved',
+      'alert.reopened', 'alert.tier_promoted',
+    ];
+
+    const connect = async () => {
+      try {
+        const { ticket } = await api('/api/alerts/stream/ticket', { method: 'POST' }, tokenRef.current);
+        if (closed) return;
+        source = new EventSource(`${BASE}/api/alerts/stream?ticket=${encodeURIComponent(ticket)}`);
+        events.forEach((e) => source.addEventListener(e, handle(e)));
+        source.onopen = () => setLive(true);
+        source.onerror = () => {
+          setLive(false);
+          source.close();
+          reconnect();
+        };
+      } catch (err) {
+        console.error('failed to open the live stream:', err);
+        // signing out ends this effect, and with it the retries
+        if (SIGNED_OUT_ERRORS.includes(err.message)) {
+          clearSession();
+          setToken(null);
+          return;
+        }
+        reconnect();
+      }
+    };
+    const reconnect = () => {
+      if (closed) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(connect, STREAM_RECONNECT_MS);
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      source?.close();
+      clearTimeout(reconnectTimer);
+      timers.forEach(clearTimeout);
+      clearTimeout(incidentTimer);
+      clearTimeout(summaryTimer);
+      setLive(false);
+    };
+  }, [signedIn]);
 
   const login = async (e) => {
     e.preventDefault();
     setLoginError('');
     try {
-      const { token: t } = await api('/api/auth/login', { method: 'POST', body: JSON.stringify(loginForm) });
-      localStorage.setItem('token', t);
-      setToken(t);
+      const session = await api('/api/auth/login', { method: 'POST', body: JSON.stringify(loginForm) });
+      storeSession(session);
+      setToken(session.token);
     } catch (err) {
       setLoginError(err.message);
     }
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    // end the session server-side too, so the refresh token left in storage is worthless. best effort —
+    // the user is signed out locally either way
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      api('/api/auth/logout', { method: 'POST', body: JSON.stringify({ refreshToken }) })
+        .catch((err) => console.error('logout failed:', err));
+    }
+    clearSession();
     setToken(null);
+    setView('alerts');
     setData(EMPTY_DATA); // wipe state so re-login starts fresh
   };
 
   const openDrillDown = async (alert) => {
     try {
       const detail = await api(`/api/alerts/${alert._id}/history`, {}, token);
+      setActionError('');
       setSelectedAlert(detail);
     } catch (err) {
       console.error('failed to load alert details:', err);
     }
   };
 
-  const resolveAlert = async () => {
+  const openDriver = async (driverId) => {
+    try {
+      const tz = encodeURIComponent(LOCAL_TZ);
+      setSelectedDriver(await api(`/api/drivers/${encodeURIComponent(driverId)}?period=30d&tz=${tz}`, {}, token));
+    } catch (err) {
+      console.error('failed to load driver profile:', err);
+    }
+  };
+
+  const openIncident = async (incident) => {
+    try {
+      const detail = await api(`/api/incidents/${incident._id}`, {}, token);
+      setIncidentError('');
+      setSelectedIncident(detail);
+    } catch (err) {
+      console.error('failed to load incident:', err);
+    }
+  };
+
+  const resolveIncident = async (note) => {
+    if (!selectedIncident) return;
+    setIncidentBusy(true);
+    setIncidentError('');
+    try {
+      const id = selectedIncident.incident._id;
+      await api(`/api/incidents/${id}/resolve`, { method: 'PATCH', body: JSON.stringify({ note }) }, token);
+      // re-read so the member list shows what actually got resolved — some may have been skipped
+      setSelectedIncident(await api(`/api/incidents/${id}`, {}, token));
+      fetchDashboard(token);
+    } catch (err) {
+      console.error('incident resolve failed:', err);
+      setIncidentError(err.message);
+    } finally {
+      setIncidentBusy(false);
+    }
+  };
+
+  // acknowledge / assign / reassign / resolve / reopen all share one shape: PATCH /:id/<action>, get the updated alert back
+  const runAlertAction = async (action, body = {}) => {
     if (!selectedAlert) return;
-    setResolving(true);
+    setBusyAction(action);
+    setActionError('');
     try {
       const { alert: updated } = await api(
-        `/api/alerts/${selectedAlert.alert._id}/resolve`,
-        { method: 'PATCH' },
+        `/api/alerts/${selectedAlert.alert._id}/${action}`,
+        { method: 'PATCH', body: JSON.stringify(body) },
         token
       );
-      setSelectedAlert((prev) => ({ ...prev, alert: updated })); // update modal in place without closing
+      // update modal in place without closing — the server already appended the new entry to history.
+      // a legacy alert's creation entry only exists in the history response, so it's carried over
+      setSelectedAlert((prev) => ({
+        ...prev,
+        alert: updated,
+        history: updated.history ? [...(prev.legacy ? prev.history.slice(0, 1) : []), ...updated.history] : prev.history,
+      }));
       fetchDashboard(token);
     } catch (err) {
-      console.error('resolve failed:', err);
+      console.error(`${action} failed:`, err);
+      setActionError(err.message);
     } finally {
-      setResolving(false);
+      setBusyAction(null);
     }
   };
 
@@ -449,55 +1340,127 @@ export default function Dashboard() {
         <h1 className="text-base font-semibold tracking-tight">moveinsync — alert dashboard</h1>
         <div className="flex items-center gap-4">
           {loading && <span className="text-xs text-gray-500 animate-pulse">refreshing...</span>}
+          <span className={`text-xs ${live ? 'text-green-400' : 'text-gray-600'}`}>{live ? '● live' : '○ offline'}</span>
+          {tokenRole(token) === 'admin' && (
+            <button
+              onClick={() => setView((v) => (v === 'users' ? 'alerts' : 'users'))}
+              className="text-xs text-gray-400 hover:text-white transition-colors"
+            >
+              {view === 'users' ? 'alerts' : 'users'}
+            </button>
+          )}
           <button onClick={() => fetchDashboard(token)} className="text-xs text-gray-400 hover:text-white transition-colors">refresh</button>
           <button onClick={logout}                      className="text-xs text-gray-400 hover:text-white transition-colors">sign out</button>
         </div>
       </header>
 
-      <main className="px-6 py-6 flex flex-col gap-8 max-w-7xl mx-auto">
-        <StatCards bySeverity={data.summary.bySeverity} />
-
-        <TrendsChart trends={data.trends} topDrivers={data.summary.topDrivers} />
-
-        <RecentAlertsTable alerts={data.recentAlerts} onRowClick={openDrillDown} />
-
-        <AlertsTable
-          alerts={data.autoClosedAlerts}
-          onRowClick={openDrillDown}
-          timeFilter={timeFilter}
-          onTimeFilterChange={setTimeFilter}
-        />
-
-        {/* rules config — small enough to keep inline */}
-        <section className="bg-gray-900 border border-gray-800 rounded-xl p-5">
-          <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">active rule config</h2>
-          {data.rulesConfig ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {Object.entries(data.rulesConfig).map(([type, rule]) => (
-                <div key={type} className="bg-gray-800 rounded-xl p-4 border border-gray-700">
-                  <p className="text-indigo-400 font-mono text-sm mb-3">{type}</p>
-                  <dl className="flex flex-col gap-1.5">
-                    {Object.entries(rule).map(([k, v]) => (
-                      <div key={k} className="flex justify-between gap-4 text-xs">
-                        <dt className="text-gray-500">{k}</dt>
-                        <dd className="text-gray-200 font-medium">{String(v)}</dd>
-                      </div>
-                    ))}
-                  </dl>
+      {view === 'users' && tokenRole(token) === 'admin' ? (
+        <main className="px-6 py-6 flex flex-col gap-8 max-w-7xl mx-auto">
+          <UsersPage token={token} me={tokenClaims(token).email} />
+        </main>
+      ) : (
+        <main className="px-6 py-6 flex flex-col gap-8 max-w-7xl mx-auto">
+          <StatCards bySeverity={data.summary.bySeverity} suppressed={data.summary.suppressed} />
+
+          <KpiCards metrics={data.metrics} period={metricsPeriod} onPeriodChange={setMetricsPeriod} />
+
+          <TrendsChart
+            trends={data.trends}
+            topDrivers={data.drivers}
+            onDriverClick={openDriver}
+            range={trendRange}
+            onRangeChange={setTrendRange}
+            breakdown={trendBreakdown}
+            onBreakdownChange={setTrendBreakdown}
+          />
+
+          <RecentAlertsTable
+            alerts={data.recentAlerts}
+            onRowClick={openDrillDown}
+            highlighted={highlighted}
+            page={pageCursors.length - 1}
+            hasNext={Boolean(data.recentNextCursor)}
+            onNext={() => loadRecentPage([...pageCursors, data.recentNextCursor])}
+            onPrev={() => loadRecentPage(pageCursors.slice(0, -1))}
+            token={token}
+          />
+
+          <IncidentsTable incidents={data.incidents} onRowClick={openIncident} />
+
+          <AlertsTable
+            alerts={data.autoClosedAlerts}
+            onRowClick={openDrillDown}
+            timeFilter={timeFilter}
+            onTimeFilterChange={setTimeFilter}
+            token={token}
+            exportQuery={{ status: 'AUTO-CLOSED', since: getFilterDate() }}
+          />
+
+          {/* rules config — small enough to keep inline, and only admins can read it */}
+          {tokenRole(token) === 'admin' && (
+            <section className="bg-gray-900 border border-gray-800 rounded-xl p-5">
+              <h2 className="text-xs text-gray-500 mb-4 uppercase tracking-widest">active rule config</h2>
+              {data.rulesConfig ? (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {Object.entries(data.rulesConfig).map(([type, rule]) => (
+                    <div key={type} className="bg-gray-800 rounded-xl p-4 border border-gray-700">
+                      <p className="text-indigo-400 font-mono text-sm mb-3">{type}</p>
+                      <dl className="flex flex-col gap-1.5">
+                        {Object.entries(rule).map(([k, v]) => (
+                          <div key={k} className="flex justify-between gap-4 text-xs">
+                            <dt className="text-gray-500">{k}</dt>
+                            <dd className="text-gray-200 font-medium font-mono break-all text-right">
+                                {/* match blocks and predicates are nested objects — show them as compact json */}
+                                {typeof v === 'object' ? JSON.stringify(v) : String(v)}
+                              </dd>
+                          </div>
+                        ))}
+                      </dl>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-          ) : (
-            <p className="text-sm text-gray-500">loading...</p>
+              ) : (
+                <p className="text-sm text-gray-500">loading...</p>
+              )}
+            </section>
           )}
-        </section>
-      </main>
+        </main>
+      )}
+
+      <IncidentModal
+        key={selectedIncident?.incident._id}
+        selectedIncident={selectedIncident}
+        onClose={() => setSelectedIncident(null)}
+        onAlertClick={(a) => {
+          // one modal at a time — the alert drill-down replaces the incident view
+          setSelectedIncident(null);
+          openDrillDown(a);
+        }}
+        onResolve={resolveIncident}
+        busy={incidentBusy}
+        error={incidentError}
+      />
+
+      <DriverModal
+        profile={selectedDriver}
+        onClose={() => setSelectedDriver(null)}
+        onAlertClick={(a) => {
+          setSelectedDriver(null);
+          openDrillDown(a);
+        }}
+      />
 
       <DrillDownModal
+        key={selectedAlert?.alert._id} // remount per alert so a half-typed assignee doesn't carry over
         selectedAlert={selectedAlert}
-        onClose={() => setSelectedAlert(null)}
-        onResolve={resolveAlert}
-        resolving={resolving}
+        onClose={() => {
+          setSelectedAlert(null);
+          setActionError('');
+        }}
+        onAction={runAlertAction}
+        busy={busyAction}
+        actionError={actionError}
+        me={tokenClaims(token).email}
       />
     </div>
   );
@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from './api.js';
+import { inputClass } from './ui.js';
+
+const USER_ROLES = ['operator', 'admin'];
+
+// admin-only account management. fetches for itself — none of it belongs in the alert dashboard's state
+export default function UsersPage({ token, me }) {
+  const [users, setUsers]           = useState(null);
+  const [error, setError]           = useState('');
+  const [notice, setNotice]         = useState('');
+  const [busyId, setBusyId]         = useState(null);
+  const [createForm, setCreateForm] = useState({ email: '', password: '', role: 'operator' });
+  const [reset, setReset]           = useState({ id: null, password: '' });
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers(await api('/api/users', {}, token));
+    } catch (err) {
+      console.error('failed to load users:', err);
+      setError(err.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // every row action has the same shape — call, show the server's message on failure, re-read the list
+  const run = async (id, path, options, done) => {
+    setBusyId(id);
+    setError('');
+    setNotice('');
+    try {
+      const result = await api(path, options, token);
+      if (done) setNotice(done(result));
+      await loadUsers();
+      return true;
+    } catch (err) {
+      console.error(`${path} failed:`, err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const createUser = async (e) => {
+    e.preventDefault();
+    const ok = await run('new', '/api/users', { method: 'POST', body: JSON.stringify(createForm) }, (r) => `created ${r.email}`);
+    if (ok) setCreateForm({ email: '', password: '', role: 'operator' });
+  };
+
+  const submitReset = async (e) => {
+    e.preventDefault();
+    const ok = await run(
+      reset.id,
+      `/api/users/${reset.id}/reset-password`,
+      { method: 'POST', body: JSON.stringify({ password: reset.password }) },
+      (r) => `password reset for ${r.email}`
+    );
+    if (ok) setReset({ id: null, password: '' });
+  };
+
+  return (
+    <section className="bg-gray-900 border border-gray-800 rounded-xl p-5 flex flex-col gap-5">
+      <h2 className="text-xs text-gray-500 uppercase tracking-widest">users</h2>
+
+      <form onSubmit={createUser} className="flex flex-wrap gap-2">
+        <input
+          className={`${inputClass} flex-1 min-w-48`}
+          type="email"
+          placeholder="email"
+          value={createForm.email}
+          onChange={(e) => setCreateForm((f) => ({ ...f, email: e.target.value }))}
+        />
+        <input
+          className={`${inputClass} flex-1 min-w-48`}
+          type="password"
+          placeholder="initial password (8+ characters)"
+          value={createForm.password}
+          onChange={(e) => setCreateForm((f) => ({ ...f, password: e.target.value }))}
+        />
+        <select
+          className={inputClass}
+          value={createForm.role}
+          onChange={(e) => setCreateForm((f) => ({ ...f, role: e.target.value }))}
+        >
+          {USER_ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={busyId === 'new' || !createForm.email.trim() || !createForm.password}
+          className="bg-indigo-600 hover:bg-indigo-500 disabled:opacity-40 disabled:cursor-not-allowed text-white text-xs px-4 rounded-lg transition-colors"
+        >
+          {busyId === 'new' ? 'creating...' : 'add user'}
+        </button>
+      </form>
+
+      {/* 409s like "cannot remove the last active admin" explain themselves, so show them verbatim */}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {notice && <p className="text-xs text-green-400">{notice}</p>}
+
+      {users === null ? (
+        <p className="text-sm text-gray-500">loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-800">
+                <th className="pb-2 pr-6 font-normal">email</th>
+                <th className="pb-2 pr-6 font-normal">role</th>
+                <th className="pb-2 pr-6 font-normal">status</th>
+                <th className="pb-2 pr-6 font-normal">created</th>
+                <th className="pb-2 font-normal">actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => (
+                <tr key={u._id} className="border-b border-gray-800 align-top">
+                  <td className="py-2.5 pr-6 text-gray-200">
+                    {u.email}
+                    {u.email === me && <span className="text-gray-500"> (you)</span>}
+                  </td>
+                  <td className="py-2.5 pr-6">
+                    {/* a role change signs the user out everywhere, so they pick up the new one on next login */}
+                    <select
+                      className={inputClass}
+                      value={u.role}
+                      disabled={busyId === u._id}
+                      onChange={(e) => run(
+                        u._id,
+                        `/api/users/${u._id}/role`,
+                        { method: 'PATCH', body: JSON.stringify({ role: e.target.value }) },
+                        (r) => `${r.email} is now ${r.role}`
+                      )}
+                    >
+                      {USER_ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2.5 pr-6 text-xs">
+                    {u.active ? (
+                      <span className="text-green-400">active</span>
+                    ) : (
+                      <span className="text-gray-500" title={u.deactivatedAt && new Date(u.deactivatedAt).toLocaleString()}>
+                        deactivated{u.deactivatedBy && ` by ${u.deactivatedBy}`}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2.5 pr-6 text-gray-400 text-xs">{new Date(u.createdAt).toLocaleDateString()}</td>
+                  <td className="py-2.5 text-xs">
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        disabled={busyId === u._id}
+                        onClick={() => run(
+                          u._id,
+                          `/api/users/${u._id}/${u.active ? 'deactivate' : 'reactivate'}`,
+                          { method: 'PATCH' },
+                          (r) => `${r.email} ${r.active ? 'reactivated' : 'deactivated'}`
+                        )}
+                        className={`${u.active ? 'text-red-400 hover:text-red-300' : 'text-green-400 hover:text-green-300'} disabled:opacity-40`}
+                      >
+                        {u.active ? 'deactivate' : 'reactivate'}
+                      </button>
+                      <button
+                        disabled={busyId === u._id}
+                        onClick={() => setReset({ id: reset.id === u._id ? null : u._id, password: '' })}
+                        className="text-gray-400 hover:text-white disabled:opacity-40"
+                      >
+                        reset password
+                      </button>
+                      <button
+                        disabled={busyId === u._id}
+                        onClick={() => run(
+                          u._id,
+                          `/api/users/${u._id}/revoke-sessions`,
+                          { method: 'POST' },
+                          (r) => `revoked ${r.revoked} session${r.revoked === 1 ? '' : 's'} for ${r.email}`
+                        )}
+                        className="text-gray-400 hover:text-white disabled:opacity-40"
+                      >
+                        sign out everywhere
+                      </button>
+                    </div>
+                    {reset.id === u._id && (
+                      <form onSubmit={submitReset} className="flex gap-2 mt-2">
+                        <input
+                          className={`${inputClass} flex-1`}
+                          type="password"
+                          placeholder="new password"
+                          value={reset.password}
+                          onChange={(e) => setReset((r) => ({ ...r, password: e.target.value }))}
+                        />
+                        <button
+                          type="submit"
+                          disabled={busyId === u._id || !reset.password}
+                          className="bg-indigo-700 hover:bg-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed text-white px-3 rounded-lg transition-colors"
+                        >
+                          set
+                        </button>
+                      </form>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,122 @@
+// session handling and fetch wrappers shared by every page of the dashboard
+
+// VITE_API_URL is empty in dev (vite proxy handles it) and set to the render url in production
+export const BASE = import.meta.env.VITE_API_URL ?? '';
+
+// the server's message for an access token past its expiry — the one 401 worth refreshing on
+const TOKEN_EXPIRED = 'token expired, please log in again';
+// thrown once the session can't be refreshed any more — the dashboard drops back to the login screen on it
+export const SESSION_ENDED = 'session ended, please log in again';
+
+// both tokens live in localStorage, so a page reload — or another tab — picks up the latest pair
+export const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// the dashboard registers here to hear about new access tokens (or null when the session ends)
+let onSessionChange = () => {};
+export const setSessionListener = (listener) => {
+  onSessionChange = listener ?? (() => {});
+};
+
+// refresh tokens rotate on every use, so two refreshes with the same token look like theft and revoke the
+// session. within a tab, concurrent callers share one in-flight refresh. across tabs, every open dashboard
+// arms its timer off the same token expiry, so refreshes also queue on a web lock, and whoever gets the lock
+// second finds the token already rotated and adopts the stored pair instead of spending the old one
+const REFRESH_LOCK = 'mis-session-refresh';
+
+let refreshing = null;
+export const refreshSession = () => {
+  refreshing ??= (async () => {
+    const presented = localStorage.getItem('refreshToken');
+    const run = async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) throw new Error(SESSION_ENDED);
+      if (refreshToken !== presented) {
+        // another tab refreshed while this one waited for the lock
+        const token = localStorage.getItem('token');
+        onSessionChange(token);
+        return token;
+      }
+      const res = await fetch(`${BASE}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(SESSION_ENDED);
+      storeSession(data);
+      onSessionChange(data.token);
+      return data.token;
+    };
+
+    try {
+      // browsers without the web locks api fall back to the per-tab dedupe alone
+      return await (navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run());
+    } catch (err) {
+      // a network blip isn't the end of the session — only a refusal from the server is
+      if (err.message === SESSION_ENDED) {
+        clearSession();
+        onSessionChange(null);
+      }
+      throw err;
+    } finally {
+      refreshing = null;
+    }
+  })();
+  return refreshing;
+};
+
+// attaches the auth header; an expired access token is refreshed and the request retried once,
+// so callers never see the expiry
+const authedFetch = async (path, options = {}, token = null, retried = false) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  const res = await fetch(BASE + path, { ...options, headers });
+  if (res.status === 401 && token && !retried) {
+    // clone so the caller can still read the body if this turns out to be some other 401
+    const { error } = await res.clone().json().catch(() => ({}));
+    if (error === TOKEN_EXPIRED) return authedFetch(path, options, await refreshSession(), true);
+  }
+  return res;
+};
+
+// single fetch wrapper for json endpoints — throws on non-ok responses
+export const api = async (path, options = {}, token = null) => {
+  const res = await authedFetch(path, options, token);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'request failed');
+  return data;
+};
+
+// exports need the auth header, so a plain <a href> won't do — fetch the file and hand the browser a blob url.
+// the name is built here because cors hides Content-Disposition from cross-origin fetches
+export const downloadFile = async (path, token, filename) => {
+  const res = await authedFetch(path, {}, token);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'download failed');
+  }
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// reads the role claim straight out of the jwt payload — only used to hide ui the server would 403 anyway,
+// so there's no need to verify the signature here
+export const tokenClaims = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch {
+    return {};
+  }
+};
+export const tokenRole = (token) => tokenClaims(token).role ?? null;
@@ -0,0 +1,4 @@
+// tailwind class strings reused across pages
+
+export const inputClass =
+  'bg-gray-800 text-white rounded-lg px-3 py-2 text-xs border border-gray-700 focus:outline-none focus:border-indigo-500';
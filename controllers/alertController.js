@@ -1,41 +1,111 @@
 import Alert from '../models/Alert.js';
-import { registry } from '../services/RuleEngine.js';
-import { get as cacheGet, set as cacheSet, invalidate } from '../services/cache.js';
-
-// Cache key constants — kept here so invalidation calls always use the same strings
-const CACHE_SUMMARY = 'summary';
-const CACHE_TRENDS  = 'trends';
+import SuppressionWindow from '../models/SuppressionWindow.js';
+import User from '../models/User.js';
+import { get as cacheGet, set as cacheSet, invalidate, cacheKey, ALERT_CACHES, CACHE_SUMMARY, CACHE_TRENDS, CACHE_METRICS } from '../services/cache.js';
+import { historyEntry, withCreationEntry } from '../services/alertHistory.js';
+import { validateAlertInput, buildAlert, processIngested, ingestRefusal } from '../services/alertIngest.js';
+import { buildAlertQuery, encodeCursor, listParam, ALERT_SORT } from '../services/alertQuery.js';
+import { EXPORT_FORMATS, exportColumns, toRow, csvHeader, formatRow } from '../services/alertExport.js';
+import { getDeliveriesForAlert } from '../services/notifier.js';
+import { emitAlertEvent, ALERT_EVENTS } from '../services/alertEvents.js';
+import { addStreamClient } from '../services/alertStream.js';
+import { canTransition } from '../services/alertStateMachine.js';
+import { restartTierClock } from '../services/escalationPolicy.js';
+import { getRules } from '../services/rulesStore.js';
+import { GRANULARITIES, isValidTimeZone, listBuckets, bucketStartExpr, bucketsBefore } from '../services/timeBuckets.js';
+import { SEVERITY_ORDER } from '../services/ruleDsl.js';
+import { computeMetrics, EVER_ESCALATED } from '../services/alertMetrics.js';
+import { issueStreamTicket, isSessionActive, STREAM_TICKET_TTL_SECONDS } from '../services/sessions.js';
 
 export const getAlerts = async (req, res) => {
-  const { status, severity, since, limit = 50 } = req.query;
-
   // build the filter dynamically so callers can mix and match query params
-  const filter = {};
-  if (status) filter.status = status;
-  if (severity) filter.severity = severity;
-  if (since) {
-    const sinceDate = new Date(since);
-    if (!isNaN(sinceDate.getTime())) filter.timestamp = { $gte: sinceDate };
-  }
+  const { error, filter, limit } = buildAlertQuery(req.query, req.user);
+  if (error) return res.status(400).json({ error });
 
   try {
-    const alerts = await Alert.find(filter)
-      .sort({ timestamp: -1 }) // newest first so the dashboard shows recent activity at the top
-      .limit(Number(limit));
-    return res.status(200).json(alerts);
+    // one extra row tells us whether there's a next page without a separate count query
+    const rows = await Alert.find(filter, { history: 0 })
+      .sort(ALERT_SORT) // newest first so the dashboard shows recent activity at the top
+      .limit(limit + 1);
+
+    const data = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(data[data.length - 1]) : null;
+
+    return res.status(200).json({ data, nextCursor });
   } catch (err) {
     console.error('error fetching alerts:', err);
     return res.status(500).json({ error: 'internal server error' });
   }
 };
 
+// resolves once the socket can take more, or once the client has gone — 'drain' never fires on a closed response
+const writable = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+export const exportAlerts = async (req, res) => {
+  const format = req.query.format ?? 'csv';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const { error: columnError, columns } = exportColumns(listParam(req.query.metadata));
+  if (columnError) return res.status(400).json({ error: columnError });
+
+  // the same filters as GET /api/alerts, but the whole result rather than one page
+  const { error, filter } = buildAlertQuery({ ...req.query, limit: undefined, cursor: undefined }, req.user);
+  if (error) return res.status(400).json({ error });
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  // one document at a time off a db cursor — an export of the whole collection never sits in memory
+  const cursor = Alert.find(filter, { history: 0 }).sort(ALERT_SORT).lean().cursor();
+
+  try {
+    // read the first row before committing to a 200, so a failing query still gets a proper error response
+    let alert = await cursor.next();
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="alerts-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+      'Cache-Control': 'no-store',
+    });
+    if (format === 'csv') res.write(csvHeader(columns));
+
+    // stops early if the client hangs up, instead of walking the rest of the collection for nobody
+    while (alert && !res.destroyed) {
+      // respect backpressure so a slow download doesn't buffer the export in memory after all
+      if (!res.write(formatRow(format, toRow(alert, columns)))) await writable(res);
+      alert = await cursor.next();
+    }
+    res.end();
+  } catch (err) {
+    console.error('error exporting alerts:', err);
+    // once rows have gone out the status is already 200 — cutting the connection is the only way to
+    // tell the client the file is incomplete
+    if (!res.headersSent) return res.status(500).json({ error: 'internal server error' });
+    res.destroy();
+  } finally {
+    await cursor.close();
+  }
+};
+
 export const getSummary = async (req, res) => {
   // serve from cache when possible — two aggregations on every dashboard refresh is expensive
-  const cached = cacheGet(CACHE_SUMMARY);
+  const key = cacheKey(CACHE_SUMMARY);
+  const cached = await cacheGet(key);
   if (cached) return res.status(200).json(cached);
 
   try {
-    const [bySeverity, topDrivers] = await Promise.all([
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const [bySeverity, topDrivers, suppressedLast24h, activeWindows] = await Promise.all([
       // group by severity so the frontend can render a breakdown card without a second query
       Alert.aggregate([
         { $group: { _id: '$severity', count: { $sum: 1 } } },
@@ -50,10 +120,14 @@ export const getSummary = async (req, res) => {
         { $limit: 5 },
         { $project: { _id: 0, driverId: '$_id', alertCount: 1 } },
       ]),
+
+      // the dashboard's "n suppressed" indicator — muted alerts shouldn't be invisible, just quiet
+      Alert.countDocuments({ suppressedBy: { $ne: null }, timestamp: { $gte: dayAgo } }),
+      SuppressionWindow.countDocuments({ startsAt: { $lte: now }, endsAt: { $gte: now } }),
     ]);
 
-    const result = { bySeverity, topDrivers };
-    cacheSet(CACHE_SUMMARY, result, 60); // 60-second TTL — stale by at most a minute
+    const result = { bySeverity, topDrivers, suppressed: { last24h: suppressedLast24h, activeWindows } };
+    await cacheSet(key, result, 60); // 60-second TTL — stale by at most a minute
     return res.status(200).json(result);
   } catch (err) {
     console.error('error fetching summary:', err);
@@ -61,21 +135,156 @@ export const getSummary = async (req, res) => {
   }
 };
 
-export const resolveAlert = async (req, res) => {
+// read-then-conditional-update shared by every operator action. the transition table is checked first, then
+// `check` can refuse for action-specific reasons (e.g. someone else owns it) — both come back as a 409 that
+// names the current state. the update filters on the status and owner we just read, so the history entry's
+// `from` can't be stale if something else (rule engine, auto-close worker, a teammate) touches the alert
+// between the two queries
+const transitionAlert = async (id, to, check, buildUpdate) => {
+  const current = await Alert.findById(id, { status: 1, assignedTo: 1, escalation: 1 }).lean();
+  if (!current) return { code: 404, error: 'alert not found' };
+
+  if (!canTransition(current.status, to)) {
+    return { code: 409, error: `cannot move alert from ${current.status} to ${to}`, currentStatus: current.status };
+  }
+
+  const refusal = check(current);
+  if (refusal) return { code: 409, error: refusal, currentStatus: current.status };
+
+  const alert = await Alert.findOneAndUpdate(
+    { _id: id, status: current.status, assignedTo: current.assignedTo ?? null },
+    buildUpdate(current),
+    { new: true }
+  );
+  if (!alert) return { code: 409, error: 'alert changed concurrently, please retry', currentStatus: current.status };
+
+  return { alert };
+};
+
+// shared tail for the operator actions — map the result to a response and announce the change
+const respondToTransition = (res, result, event, message) => {
+  if (result.error) {
+    return res.status(result.code).json({ error: result.error, currentStatus: result.currentStatus });
+  }
+  emitAlertEvent(event, result.alert);
+  return res.status(200).json({ message, alert: result.alert });
+};
+
+export const acknowledgeAlert = async (req, res) => {
+  const { note = '' } = req.body ?? {};
+  const me = req.user.email;
+
   try {
-    const alert = await Alert.findByIdAndUpdate(
+    const result = await transitionAlert(
       req.params.id,
-      { $set: { status: 'RESOLVED', 'metadata.resolvedAt': new Date(), 'metadata.resolvedBy': req.user.email } },
-      { new: true }
+      'ACKNOWLEDGED',
+      (current) => {
+        // someone else owns it — acknowledging would silently take it over, that's what reassign is for
+        if (current.assignedTo && current.assignedTo !== me) return `alert is assigned to ${current.assignedTo}`;
+        return null;
+      },
+      (current) => {
+        const set = { status: 'ACKNOWLEDGED', acknowledgedBy: me, acknowledgedAt: new Date() };
+        // "I'm on it" — acknowledging an unowned alert makes you its owner
+        if (!current.assignedTo) Object.assign(set, { assignedTo: me, assignedAt: new Date() });
+        return {
+          $set: set,
+          $push: { history: historyEntry({ from: current.status, to: 'ACKNOWLEDGED', actor: me, reason: note }) },
+        };
+      }
     );
 
-    if (!alert) return res.status(404).json({ error: 'alert not found' });
+    // the status moved, and the summary, trends and metrics all count by status
+    if (result.alert) await invalidate(ALERT_CACHES);
+
+    return respondToTransition(res, result, ALERT_EVENTS.ACKNOWLEDGED, 'alert acknowledged');
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid alert id format' });
+    console.error('error acknowledging alert:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
 
-    // a resolved alert changes severity counts and the leaderboard, so both caches are now stale
-    invalidate([CACHE_SUMMARY, CACHE_TRENDS]);
+// assign and reassign are the same write; they differ only in what they expect the current owner to be,
+// so an operator can't accidentally take an alert a teammate already picked up
+const assignHandler = (mode) => async (req, res) => {
+  const { assignee, note = '' } = req.body ?? {};
+  if (!assignee || typeof assignee !== 'string') return res.status(400).json({ error: 'assignee email is required' });
 
+  try {
+    const target = await User.findOne({ email: assignee.toLowerCase().trim() }, { email: 1, active: 1 }).lean();
+    if (!target) return res.status(400).json({ error: 'assignee is not a known user' });
+    // a deactivated user can't log in to work it, so the alert would sit unowned in practice
+    if (target.active === false) return res.status(400).json({ error: 'assignee is deactivated' });
+
+    const now = new Date();
+    const result = await transitionAlert(
+      req.params.id,
+      'ASSIGNED',
+      (current) => {
+        if (mode === 'assign' && current.assignedTo) return `alert is already assigned to ${current.assignedTo}, use reassign`;
+        if (mode === 'reassign' && !current.assignedTo) return 'alert is not assigned yet, use assign';
+        if (current.assignedTo === target.email) return `alert is already assigned to ${target.email}`;
+        return null;
+      },
+      (current) => ({
+        // a new owner hasn't acknowledged anything yet, so the alert goes back to ASSIGNED with a fresh SLA wait
+        $set: {
+          status: 'ASSIGNED',
+          assignedTo: target.email,
+          assignedAt: now,
+          acknowledgedBy: null,
+          acknowledgedAt: null,
+          ...restartTierClock(current.escalation, getRules()[current.escalation?.rule]?.escalation_tiers, now),
+        },
+        $push: {
+          history: historyEntry({
+            from: current.status,
+            to: 'ASSIGNED',
+            actor: req.user.email,
+            reason: [current.assignedTo ? `${current.assignedTo} → ${target.email}` : `assigned to ${target.email}`, note]
+              .filter(Boolean)
+              .join(' — '),
+          }),
+        },
+      })
+    );
+
+    // same as acknowledge — a status change the cached counts would otherwise miss
+    if (result.alert) await invalidate(ALERT_CACHES);
+
+    return respondToTransition(res, result, ALERT_EVENTS.ASSIGNED, `alert ${mode}ed to ${target.email}`);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid alert id format' });
+    console.error(`error during ${mode}:`, err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const assignAlert = assignHandler('assign');
+export const reassignAlert = assignHandler('reassign');
+
+export const resolveAlert = async (req, res) => {
+  const { note = '' } = req.body ?? {};
+
+  try {
     // write who resolved it so there's a trail — req.user comes from the JWT middleware
-    return res.status(200).json({ message: 'alert resolved', alert });
+    const result = await transitionAlert(
+      req.params.id,
+      'RESOLVED',
+      () => null,
+      (current) => ({
+        $set: { status: 'RESOLVED', 'metadata.resolvedAt': new Date(), 'metadata.resolvedBy': req.user.email },
+        $push: {
+          history: historyEntry({ from: current.status, to: 'RESOLVED', actor: req.user.email, reason: note }),
+        },
+      })
+    );
+
+    // a resolved alert changes severity counts, the leaderboard and time-to-resolve, so every cached aggregate is stale
+    if (result.alert) await invalidate(ALERT_CACHES);
+
+    return respondToTransition(res, result, ALERT_EVENTS.RESOLVED, 'alert resolved');
   } catch (err) {
     if (err.name === 'CastError') return res.status(400).json({ error: 'invalid alert id format' });
     console.error('error resolving alert:', err);
@@ -83,47 +292,148 @@ export const resolveAlert = async (req, res) => {
   }
 };
 
+// the explicit way back from a false close — a reason is required so the audit log says why the close was wrong
+export const reopenAlert = async (req, res) => {
+  const { reason } = req.body ?? {};
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'a reason is required to reopen an alert' });
+  }
+
+  try {
+    const result = await transitionAlert(
+      req.params.id,
+      'OPEN',
+      () => null,
+      (current) => ({
+        // back to a clean slate — ownership, escalation tier and closure details belonged to the close being undone, and the
+        // history entries still record them
+        $set: {
+          status: 'OPEN',
+          assignedTo: null,
+          assignedAt: null,
+          acknowledgedBy: null,
+          acknowledgedAt: null,
+          escalation: null,
+        },
+        $unset: {
+          'metadata.resolvedAt': '',
+          'metadata.resolvedBy': '',
+          'metadata.closedAt': '',
+          'metadata.closureNote': '',
+        },
+        $push: {
+          history: historyEntry({ from: current.status, to: 'OPEN', actor: req.user.email, reason: `reopened: ${reason.trim()}` }),
+        },
+      })
+    );
+
+    // a reopened alert counts as live again in the summary, trends and metrics
+    if (result.alert) await invalidate(ALERT_CACHES);
+
+    return respondToTransition(res, result, ALERT_EVENTS.REOPENED, 'alert reopened');
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid alert id format' });
+    console.error('error reopening alert:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// how many buckets a range covers when from isn't given — a day of hours, a week of days, a quarter of weeks
+const DEFAULT_BUCKETS = { hour: 24, day: 7, week: 12 };
+// a year of hours is 8760 points nobody can read, and an aggregation nobody should wait for
+const MAX_TREND_BUCKETS = 1000;
+const TREND_BREAKDOWNS = ['sourceType', 'severity'];
+const TREND_PARAMS = ['from', 'to', 'granularity', 'tz', 'breakdown'];
+
+// ?from=&to=&granularity=hour|day|week&tz=<iana>&breakdown=sourceType|severity — returns { error } or the
+// resolved range. to defaults to now and from to DEFAULT_BUCKETS back from it, both in the requested tz
+const parseTrendsQuery = (query) => {
+  const granularity = query.granularity ?? 'day';
+  if (!GRANULARITIES.includes(granularity)) return { error: `granularity must be one of ${GRANULARITIES.join(', ')}` };
+
+  const tz = query.tz ?? 'UTC';
+  if (!isValidTimeZone(tz)) return { error: `unknown timezone ${tz}` };
+
+  const breakdown = query.breakdown;
+  if (breakdown !== undefined && !TREND_BREAKDOWNS.includes(breakdown)) {
+    return { error: `breakdown must be one of ${TREND_BREAKDOWNS.join(', ')}` };
+  }
+
+  const to = query.to !== undefined ? new Date(query.to) : new Date();
+  if (isNaN(to.getTime())) return { error: 'invalid to date' };
+  const from = query.from !== undefined
+    ? new Date(query.from)
+    : bucketsBefore(to, granularity, tz, DEFAULT_BUCKETS[granularity] - 1);
+  if (isNaN(from.getTime())) return { error: 'invalid from date' };
+  if (from >= to) return { error: 'from must be before to' };
+
+  const buckets = listBuckets(from, to, granularity, tz, MAX_TREND_BUCKETS);
+  if (!buckets) return { error: `range too large — at most ${MAX_TREND_BUCKETS} ${granularity} buckets` };
+
+  return { from, to, granularity, tz, breakdown, buckets };
+};
+
 export const getTrends = async (req, res) => {
-  // trends data changes only when new alerts arrive, so a 5-minute cache is safe
-  const cached = cacheGet(CACHE_TRENDS);
-  if (cached) return res.status(200).json(cached);
+  const { error, from, to, granularity, tz, breakdown, buckets } = parseTrendsQuery(req.query);
+  if (error) return res.status(400).json({ error });
 
-  // go back exactly 7 days from the start of today so each day bucket is clean
-  const since = new Date();
-  since.setUTCHours(0, 0, 0, 0);
-  since.setUTCDate(since.getUTCDate() - 6);
+  // trends data changes only when new alerts arrive, so a 5-minute cache is safe. keyed on the params as
+  // sent rather than the resolved range, so every "last 24 hours" view shares one entry until it expires
+  const key = cacheKey(CACHE_TRENDS, Object.fromEntries(TREND_PARAMS.map((p) => [p, req.query[p]])));
+  const cached = await cacheGet(key);
+  if (cached) return res.status(200).json(cached);
 
   try {
     const rows = await Alert.aggregate([
-      { $match: { timestamp: { $gte: since } } },
+      { $match: { timestamp: { $gte: from, $lt: to } } },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' } },
+          _id: {
+            start: bucketStartExpr('$timestamp', granularity, tz),
+            ...(breakdown && { key: `$${breakdown}` }),
+          },
           total: { $sum: 1 },
-          // conditional sums let us get all three counts in a single pass instead of three queries
-          escalated: { $sum: { $cond: [{ $eq: ['$status', 'ESCALATED'] }, 1, 0] } },
+          // conditional sums let us get all three counts in a single pass instead of three queries.
+          // escalated reads the history, so acknowledging an escalation later doesn't rewrite past buckets
+          escalated: { $sum: { $cond: [EVER_ESCALATED, 1, 0] } },
           autoClosed: { $sum: { $cond: [{ $eq: ['$status', 'AUTO-CLOSED'] }, 1, 0] } },
         },
       },
-      { $sort: { _id: 1 } }, // ascending so the frontend can drop this straight into a line chart x-axis
     ]);
 
-    // fill in missing days with zeroes so the chart doesn't have gaps on quiet days
-    const result = [];
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(since);
-      d.setUTCDate(since.getUTCDate() + i);
-      const label = d.toISOString().slice(0, 10);
-      const found = rows.find((r) => r._id === label);
-      result.push({
-        date: label,
-        total: found?.total ?? 0,
-        escalated: found?.escalated ?? 0,
-        autoClosed: found?.autoClosed ?? 0,
-      });
+    // every breakdown value seen anywhere in the range appears in every bucket, so each series is continuous.
+    // severities keep their canonical order, source types go alphabetically
+    const keys = [...new Set(rows.map((r) => r._id.key ?? 'unknown'))].sort((a, b) =>
+      breakdown === 'severity' ? SEVERITY_ORDER.indexOf(b) - SEVERITY_ORDER.indexOf(a) : a.localeCompare(b)
+    );
+
+    const byStart = new Map();
+    for (const row of rows) {
+      const at = row._id.start.getTime();
+      if (!byStart.has(at)) byStart.set(at, []);
+      byStart.get(at).push(row);
     }
 
-    cacheSet(CACHE_TRENDS, result, 300); // 5-minute TTL — fine-grained enough for near-real-time charts
+    // fill in missing buckets with zeroes so the chart doesn't have gaps in quiet periods.
+    // ascending so the frontend can drop this straight into a line chart x-axis
+    const result = buckets.map(({ label, start }) => {
+      const found = byStart.get(start.getTime()) ?? [];
+      const sum = (field) => found.reduce((n, r) => n + r[field], 0);
+      const point = {
+        date: label,
+        start,
+        total: sum('total'),
+        escalated: sum('escalated'),
+        autoClosed: sum('autoClosed'),
+      };
+      if (breakdown) {
+        point.breakdown = Object.fromEntries(keys.map((k) => [k, 0]));
+        for (const r of found) point.breakdown[r._id.key ?? 'unknown'] += r.total;
+      }
+      return point;
+    });
+
+    await cacheSet(key, result, 300); // 5-minute TTL — fine-grained enough for near-real-time charts
     return res.status(200).json(result);
   } catch (err) {
     console.error('error fetching trends:', err);
@@ -131,6 +441,32 @@ export const getTrends = async (req, res) => {
   }
 };
 
+const DEFAULT_METRICS_DAYS = 7;
+
+// ?from=&to= — alerts raised in that window, last 7 days by default. see services/alertMetrics.js for definitions
+export const getMetrics = async (req, res) => {
+  const to = req.query.to !== undefined ? new Date(req.query.to) : new Date();
+  if (isNaN(to.getTime())) return res.status(400).json({ error: 'invalid to date' });
+  const from = req.query.from !== undefined
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_METRICS_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime())) return res.status(400).json({ error: 'invalid from date' });
+  if (from >= to) return res.status(400).json({ error: 'from must be before to' });
+
+  const key = cacheKey(CACHE_METRICS, { from: req.query.from, to: req.query.to });
+  const cached = await cacheGet(key);
+  if (cached) return res.status(200).json(cached);
+
+  try {
+    const result = await computeMetrics(from, to);
+    await cacheSet(key, result, 60);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('error computing metrics:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
 export const getAlertHistory = async (req, res) => {
   try {
     const alert = await Alert.findById(req.params.id);
@@ -139,29 +475,14 @@ export const getAlertHistory = async (req, res) => {
       return res.status(404).json({ error: 'alert not found' });
     }
 
-    // we don't have a real audit log table, so reconstruct a plausible timeline from what we know —
-    // the timestamp is when it was created, metadata.closedAt tells us when the worker touched it
-    const history = [{ status: 'OPEN', at: alert.timestamp }];
-
-    if (alert.status === 'ESCALATED') {
-      // rule engine runs right after ingest, so escalation happens within seconds of the timestamp
-      const escalatedAt = new Date(alert.timestamp.getTime() + 5000);
-      history.push({ status: 'ESCALATED', at: escalatedAt });
-    }
-
-    if (alert.status === 'AUTO-CLOSED') {
-      // prefer the actual closedAt the worker wrote over a guess
-      const closedAt = alert.metadata?.closedAt ?? new Date();
-      history.push({ status: 'AUTO-CLOSED', at: closedAt });
-    }
-
-    if (alert.status === 'RESOLVED') {
-      history.push({ status: 'RESOLVED', at: new Date() });
-    }
+    // every transition is written when it happens, so this is the real log. the one exception is the creation
+    // entry of an alert older than the log itself, which comes back marked synthesized, with legacy: true
+    const { history, legacy } = withCreationEntry(alert);
 
     return res.status(200).json({
       alert,
       history,
+      legacy,
     });
   } catch (err) {
     // findById throws a CastError if the id string isn't a valid ObjectId shape
@@ -174,35 +495,71 @@ export const getAlertHistory = async (req, res) => {
   }
 };
 
-export const createAlert = async (req, res) => {
-  const { alertid, sourceType, severity, timestamp, status, metadata } = req.body;
+// how often an open stream re-checks the session it was opened under
+const STREAM_SESSION_CHECK_MS = 60 * 1000;
 
-  if (!alertid || !sourceType || !severity || !timestamp) {
-    return res.status(400).json({ error: 'missing required fields' });
-  }
+// the dashboard asks for a fresh ticket every time it (re)connects the live stream
+export const createStreamTicket = (req, res) => {
+  return res.status(200).json({ ticket: issueStreamTicket(req.user), expiresIn: STREAM_TICKET_TTL_SECONDS });
+};
 
-  const ts = new Date(timestamp);
-  if (isNaN(ts.getTime())) {
-    // an unparseable timestamp would silently become null in mongoose, catch it early
-    return res.status(400).json({ error: 'invalid timestamp format' });
+export const streamAlerts = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stops nginx-style proxies from buffering the stream into one late chunk
+  });
+  // tell EventSource how long to wait before reconnecting if the connection drops
+  res.write('retry: 5000\n\n');
+
+  addStreamClient(res);
+
+  // the ticket was only checked once, at connect. the stream outlives any one access token, so it follows the
+  // session instead — once that's revoked (logout, deactivation, a reused refresh token) the stream ends too
+  const timer = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.user.sid))) res.end();
+    } catch (err) {
+      // a failed lookup isn't a revocation — try again next round
+      console.error('stream session check failed:', err);
+    }
+  }, STREAM_SESSION_CHECK_MS);
+  res.on('close', () => clearInterval(timer));
+};
+
+export const getAlertNotifications = async (req, res) => {
+  try {
+    const alert = await Alert.exists({ _id: req.params.id });
+    if (!alert) return res.status(404).json({ error: 'alert not found' });
+
+    // one row per channel per event — status, attempt count and last error show whether anyone actually got paged
+    const deliveries = await getDeliveriesForAlert(req.params.id);
+    return res.status(200).json(deliveries);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid alert id format' });
+    console.error('error fetching alert notifications:', err);
+    return res.status(500).json({ error: 'internal server error' });
   }
+};
+
+export const createAlert = async (req, res) => {
+  const { error, details, doc } = validateAlertInput(req.body);
+  if (error) return res.status(400).json({ error, details });
+
+  const refusal = ingestRefusal(req.user, doc);
+  if (refusal) return res.status(403).json({ error: refusal });
 
   try {
-    const alert = new Alert({ alertid, sourceType, severity, timestamp: ts, status, metadata });
+    const alert = buildAlert(doc, req.user);
     // added await so that the alert is saved here before the rule engine tries to evaluate it.
     await alert.save();
 
     // run after save so the new alert is already in the db when the engine queries historical counts
-    try {
-      // registry picks the right engine based on sourceType — controller doesn't need to know about individual engines
-      await registry.evaluate(alert);
-    } catch (engineErr) {
-      // engine failure shouldn't undo a successful ingest — log and move on
-      console.error('rule engine error for alert', alert.alertid, engineErr);
-    }
+    await processIngested([alert]);
 
     // a new alert changes counts and trends, so cached aggregations are now stale
-    invalidate([CACHE_SUMMARY, CACHE_TRENDS]);
+    await invalidate(ALERT_CACHES);
 
     return res.status(201).json({ message: 'alert ingested', id: alert._id, status: alert.status });
   } catch (err) {
@@ -220,3 +577,123 @@ export const createAlert = async (req, res) => {
     return res.status(500).json({ error: 'internal server error' });
   }
 };
+
+// a gateway flush is bounded so one request can't hold the event loop through thousands of rule evaluations
+const MAX_BULK_ITEMS = 1000;
+
+// accepts a json array, or ndjson (one alert per line) when sent as application/x-ndjson.
+// a malformed ndjson line becomes an invalid item rather than failing the whole batch
+const parseBulkBody = (req) => {
+  if (Array.isArray(req.body)) return req.body.map((item) => ({ item }));
+
+  if (typeof req.body === 'string') {
+    return req.body
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return { item: JSON.parse(line) };
+        } catch {
+          return { parseError: 'line is not valid json' };
+        }
+      });
+  }
+
+  return null;
+};
+
+export const createAlertsBulk = async (req, res) => {
+  const entries = parseBulkBody(req);
+  if (!entries) return res.status(400).json({ error: 'body must be a json array or application/x-ndjson' });
+  if (entries.length === 0) return res.status(400).json({ error: 'batch is empty' });
+  if (entries.length > MAX_BULK_ITEMS) {
+    return res.status(413).json({ error: `batch too large, max ${MAX_BULK_ITEMS} alerts per request` });
+  }
+
+  // results are indexed like the input so the gateway can match outcomes back to its buffer
+  const results = entries.map((_, index) => ({ index }));
+  const pending = []; // { index, doc } that passed validation and aren't repeats within this batch
+  const seen = new Set();
+
+  entries.forEach(({ item, parseError }, index) => {
+    const { error, details, doc } = parseError ? { error: parseError } : validateAlertInput(item);
+    if (item?.alertid) results[index].alertid = String(item.alertid);
+    const refusal = error ? null : ingestRefusal(req.user, doc);
+
+    if (error) {
+      Object.assign(results[index], { outcome: 'invalid', reason: error, details });
+    } else if (refusal) {
+      Object.assign(results[index], { outcome: 'invalid', reason: refusal });
+    } else if (seen.has(doc.alertid)) {
+      Object.assign(results[index], { outcome: 'duplicate', reason: 'alertid repeated within this batch' });
+    } else {
+      seen.add(doc.alertid);
+      pending.push({ index, doc });
+    }
+  });
+
+  try {
+    // one lookup for the whole batch instead of relying on 11000s — the common "gateway resent its buffer" case
+    const existing = new Set(
+      (await Alert.find({ alertid: { $in: [...seen] } }, { alertid: 1 }).lean()).map((a) => a.alertid)
+    );
+
+    const toInsert = [];
+    for (const { index, doc } of pending) {
+      if (existing.has(doc.alertid)) {
+        Object.assign(results[index], { outcome: 'duplicate', reason: 'alert with this alertid already exists' });
+      } else {
+        toInsert.push({ index, alert: buildAlert(doc, req.user) });
+      }
+    }
+
+    let inserted = [];
+    const duplicateIds = new Set();
+    if (toInsert.length > 0) {
+      try {
+        // unordered so one racing duplicate doesn't stop the rest of the batch from landing
+        inserted = await Alert.insertMany(toInsert.map((t) => t.alert), { ordered: false });
+      } catch (err) {
+        if (!err.writeErrors) throw err;
+        // another request inserted the same alertid between our lookup and the insert — only those rows failed
+        inserted = err.insertedDocs ?? [];
+        err.writeErrors
+          .filter((we) => we.code === 11000)
+          .forEach((we) => duplicateIds.add(String(we.getOperation?.()._id)));
+      }
+    }
+
+    const insertedIds = new Set(inserted.map((a) => String(a._id)));
+    for (const { index, alert } of toInsert) {
+      const id = String(alert._id);
+      if (insertedIds.has(id)) {
+        Object.assign(results[index], { outcome: 'created', id: alert._id });
+      } else if (duplicateIds.has(id)) {
+        Object.assign(results[index], { outcome: 'duplicate', reason: 'alert with this alertid already exists' });
+      } else {
+        // pre-validation mirrors the schema, so this only happens if the two drift apart
+        Object.assign(results[index], { outcome: 'invalid', reason: 'rejected by database validation' });
+      }
+    }
+
+    const created = toInsert.filter((t) => insertedIds.has(String(t.alert._id))).map((t) => t.alert);
+    await processIngested(created);
+
+    // status is read after the engine ran, so the gateway sees which items escalated or auto-closed
+    for (const { index, alert } of toInsert) {
+      if (results[index].outcome === 'created') results[index].status = alert.status;
+    }
+
+    // once per batch, not once per alert
+    if (created.length > 0) await invalidate(ALERT_CACHES);
+
+    const summary = { created: 0, duplicate: 0, invalid: 0 };
+    results.forEach((r) => summary[r.outcome]++);
+
+    return res.status(200).json({ summary, results });
+  } catch (err) {
+    console.error('unexpected error during bulk ingest:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
@@ -0,0 +1,79 @@
+import ApiKey from '../models/ApiKey.js';
+import { generateApiKey } from '../services/apiKeys.js';
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+// ?revoked=true to include revoked keys — by default the list is the keys that still work
+export const listApiKeys = async (req, res) => {
+  const filter = req.query.revoked === 'true' ? {} : { revokedAt: null };
+
+  try {
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+    return res.status(200).json(keys);
+  } catch (err) {
+    console.error('error listing api keys:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getApiKey = async (req, res) => {
+  try {
+    const key = await ApiKey.findById(req.params.id).lean();
+    if (!key) return res.status(404).json({ error: 'api key not found' });
+    return res.status(200).json(key);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid api key id format' });
+    console.error('error fetching api key:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const createApiKey = async (req, res) => {
+  const { name, sourceTypes } = req.body ?? {};
+
+  if (!isNonEmptyString(name)) return res.status(400).json({ error: 'name is required' });
+
+  const scope = sourceTypes === undefined ? [] : [].concat(sourceTypes);
+  if (!scope.every(isNonEmptyString)) {
+    return res.status(400).json({ error: 'sourceTypes must be a string or an array of strings' });
+  }
+
+  try {
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      keyHash,
+      prefix,
+      sourceTypes: [...new Set(scope.map((t) => t.trim()))],
+      createdBy: req.user.email,
+    });
+
+    // the only time the key leaves the server — only its hash is stored, so a lost key means a new key
+    const { keyHash: _hash, ...stored } = apiKey.toObject();
+    return res.status(201).json({ ...stored, key });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('error creating api key:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// takes effect on the key's next request — authenticate looks the key up every time, nothing is cached
+export const revokeApiKey = async (req, res) => {
+  try {
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.email } },
+      { new: true }
+    );
+    if (key) return res.status(200).json(key);
+
+    const exists = await ApiKey.exists({ _id: req.params.id });
+    if (!exists) return res.status(404).json({ error: 'api key not found' });
+    return res.status(409).json({ error: 'api key already revoked' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid api key id format' });
+    console.error('error revoking api key:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
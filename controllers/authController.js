@@ -1,45 +1,8 @@
-import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { checkPassword } from '../services/passwords.js';
+import { createSession, rotateSession, revokeSessionByRefreshToken } from '../services/sessions.js';
 
-const SALT_ROUNDS = 12;
-// 12 rounds is the sweet spot — low enough that login isn't slow, high enough that brute-forcing a leaked hash would take years on modern hardware
-
-export const register = async (req, res) => {
-  const { email, password, role } = req.body;
-
-  if (!email || !password) {
-    return res.status(400).json({ error: 'email and password are required' });
-  }
-
-  if (password.length < 8) {
-    // enforce minimum before hashing — bcrypt silently truncates at 72 chars but says nothing about minimums
-    return res.status(400).json({ error: 'password must be at least 8 characters' });
-  }
-
-  try {
-    const normalizedEmail = email.toLowerCase().trim(); // normalize so "User@X.com" and "user@x.com" can't become two separate accounts
-    const hashed = await bcrypt.hash(password, SALT_ROUNDS);
-    // hash before save so the plaintext never touches the db, even in the same tick
-
-    const user = new User({ email: normalizedEmail, password: hashed, role });
-    await user.save();
-
-    return res.status(201).json({ message: 'user registered', email: user.email, role: user.role });
-  } catch (err) {
-    if (err.code === 11000) {
-      // unique index on email — same as alertid dedup, surface a clear message rather than a raw mongo error
-      return res.status(409).json({ error: 'email already registered' });
-    }
-
-    if (err.name === 'ValidationError') {
-      return res.status(400).json({ error: err.message });
-    }
-
-    console.error('unexpected error during register:', err);
-    return res.status(500).json({ error: 'internal server error' });
-  }
-};
+// accounts are created through the user management endpoints — see controllers/userController.js
 
 export const login = async (req, res) => {
   const { email, password } = req.body;
@@ -56,23 +19,58 @@ export const login = async (req, res) => {
       return res.status(401).json({ error: 'invalid credentials' });
     }
 
-    const match = await bcrypt.compare(password, user.password);
-    // bcrypt.compare is constant-time, so this doesn't leak timing info about whether the hash matched
+    const match = await checkPassword(password, user.password);
 
     if (!match) {
       return res.status(401).json({ error: 'invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' }
-      // 8 hours matches a typical work shift — short enough to limit exposure if a token leaks
-    );
+    // only said after the password checks out, so it doesn't reveal which emails have accounts
+    if (!user.active) {
+      return res.status(403).json({ error: 'account deactivated' });
+    }
+
+    // a short-lived access token plus a refresh token for getting the next one — see services/sessions.js
+    const { token, refreshToken } = await createSession(user);
 
-    return res.status(200).json({ token });
+    return res.status(200).json({ token, refreshToken });
   } catch (err) {
     console.error('unexpected error during login:', err);
     return res.status(500).json({ error: 'internal server error' });
   }
-};
\ No newline at end of file
+};
+
+// no access token needed — the refresh token is the credential, and the access token has usually just expired
+export const refresh = async (req, res) => {
+  const { refreshToken } = req.body ?? {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+
+  try {
+    const { error, token, refreshToken: next } = await rotateSession(refreshToken);
+    // one message for unknown, expired, revoked and reused — the client's only move is to log in again
+    if (error) return res.status(401).json({ error });
+    return res.status(200).json({ token, refreshToken: next });
+  } catch (err) {
+    console.error('unexpected error during token refresh:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// ends the session the refresh token belongs to. also unauthenticated, so a tab whose access token
+// already expired can still sign out properly — and always 200, logging out twice isn't an error
+export const logout = async (req, res) => {
+  const { refreshToken } = req.body ?? {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+
+  try {
+    await revokeSessionByRefreshToken(refreshToken, 'logout');
+    return res.status(200).json({ message: 'logged out' });
+  } catch (err) {
+    console.error('unexpected error during logout:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
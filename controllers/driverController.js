@@ -0,0 +1,67 @@
+import { driverLeaderboard, driverProfile, riskScoringConfig } from '../services/driverRisk.js';
+import { isValidTimeZone, listBuckets } from '../services/timeBuckets.js';
+
+// ?period= presets, in days — or an explicit ?from=&to=, which wins
+const PERIODS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+const DEFAULT_PERIOD = '30d';
+// a profile's trend has one point per day, so a year is as far back as it goes
+const MAX_PROFILE_DAYS = 366;
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 100;
+const RECENT_ALERTS = 50;
+
+// returns { error } or { from, to }
+const parsePeriod = (query) => {
+  const to = query.to !== undefined ? new Date(query.to) : new Date();
+  if (isNaN(to.getTime())) return { error: 'invalid to date' };
+
+  let from;
+  if (query.from !== undefined) {
+    from = new Date(query.from);
+    if (isNaN(from.getTime())) return { error: 'invalid from date' };
+  } else {
+    const period = query.period ?? DEFAULT_PERIOD;
+    if (!Object.hasOwn(PERIODS, period)) return { error: `period must be one of ${Object.keys(PERIODS).join(', ')}` };
+    from = new Date(to.getTime() - PERIODS[period] * 24 * 60 * 60 * 1000);
+  }
+
+  if (from >= to) return { error: 'from must be before to' };
+  return { from, to };
+};
+
+// ranked by risk score — see riskScoring.json for how alerts are weighted
+export const getLeaderboard = async (req, res) => {
+  const { error, from, to } = parsePeriod(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_LEADERBOARD_SIZE;
+  if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+
+  try {
+    const drivers = await driverLeaderboard({ from, to, limit: Math.min(limit, MAX_LEADERBOARD_SIZE) });
+    return res.status(200).json({ period: { from, to }, scoring: riskScoringConfig(), drivers });
+  } catch (err) {
+    console.error('error building driver leaderboard:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getDriverProfile = async (req, res) => {
+  const { error, from, to } = parsePeriod(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const tz = req.query.tz ?? 'UTC';
+  if (!isValidTimeZone(tz)) return res.status(400).json({ error: `unknown timezone ${tz}` });
+
+  const buckets = listBuckets(from, to, 'day', tz, MAX_PROFILE_DAYS);
+  if (!buckets) return res.status(400).json({ error: `range too large — at most ${MAX_PROFILE_DAYS} days` });
+
+  try {
+    const profile = await driverProfile(req.params.driverId, { from, to, tz, buckets, recentLimit: RECENT_ALERTS });
+    if (!profile) return res.status(404).json({ error: 'driver not found' });
+    return res.status(200).json(profile);
+  } catch (err) {
+    console.error('error fetching driver profile:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
@@ -0,0 +1,67 @@
+import Incident from '../models/Incident.js';
+import Alert from '../models/Alert.js';
+import { invalidate, ALERT_CACHES } from '../services/cache.js';
+import { listParam, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../services/alertQuery.js';
+import { resolveIncident as resolveIncidentAlerts } from '../services/incidents.js';
+
+// newest activity first — an incident that just picked up another alert belongs at the top
+export const listIncidents = async (req, res) => {
+  const filter = {};
+  const statuses = listParam(req.query.status);
+  if (statuses.length) filter.status = { $in: statuses };
+  const sourceTypes = listParam(req.query.sourceType);
+  if (sourceTypes.length) filter.sourceType = { $in: sourceTypes };
+
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+
+  try {
+    const incidents = await Incident.find(filter)
+      .sort({ lastAlertAt: -1, _id: -1 })
+      .limit(Math.min(limit, MAX_PAGE_SIZE))
+      .lean();
+    return res.status(200).json(incidents);
+  } catch (err) {
+    console.error('error listing incidents:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// the incident plus its member alerts, oldest first so it reads as a timeline
+export const getIncident = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id).lean();
+    if (!incident) return res.status(404).json({ error: 'incident not found' });
+
+    const alerts = await Alert.find({ incident: incident._id }, { history: 0 }).sort({ timestamp: 1 }).lean();
+    return res.status(200).json({ incident, alerts });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid incident id format' });
+    console.error('error fetching incident:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const resolveIncident = async (req, res) => {
+  const { note = '' } = req.body ?? {};
+
+  try {
+    const current = await Incident.findById(req.params.id, { status: 1 }).lean();
+    if (!current) return res.status(404).json({ error: 'incident not found' });
+    if (current.status === 'RESOLVED') {
+      return res.status(409).json({ error: 'incident is already resolved', currentStatus: current.status });
+    }
+
+    const { resolved, skipped } = await resolveIncidentAlerts(current._id, req.user.email, note);
+
+    // resolving alerts changes the severity counts and leaderboard, same as resolving them one at a time
+    if (resolved > 0) await invalidate(ALERT_CACHES);
+
+    const incident = await Incident.findById(current._id).lean();
+    return res.status(200).json({ message: 'incident resolved', incident, resolved, skipped });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid incident id format' });
+    console.error('error resolving incident:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
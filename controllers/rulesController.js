@@ -1,18 +1,68 @@
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getRules, updateRules, listRuleVersions, getRuleVersion, rollbackRules } from '../services/rulesStore.js';
 
 export const getRulesConfig = (_req, res) => {
+  // served from the store rather than re-reading the file — the store is what the engines actually run on
+  return res.status(200).json(getRules());
+};
+
+export const updateRulesConfig = async (req, res) => {
+  // wrapped in { rules } rather than a bare rule set so a sourceType can never collide with `note`
+  const { rules, note = '' } = req.body ?? {};
+  if (rules === undefined) return res.status(400).json({ error: 'rules is required' });
+
+  try {
+    const saved = await updateRules(rules, req.user.email, note);
+    return res.status(200).json({ message: 'rules updated', version: saved.version, rules: saved.rules });
+  } catch (err) {
+    if (err.name === 'RulesValidationError') {
+      // field-level errors so the admin knows exactly which key to fix
+      return res.status(400).json({ error: err.message, details: err.errors });
+    }
+
+    console.error('failed to update rules config:', err);
+    return res.status(500).json({ error: 'could not save rules config' });
+  }
+};
+
+export const getRulesVersions = async (_req, res) => {
   try {
-    // re-read on each request so an admin can update the file without restarting the server
-    const rules = JSON.parse(readFileSync(join(__dirname, '../rules.json'), 'utf-8'));
-    return res.status(200).json(rules);
+    const versions = await listRuleVersions();
+    return res.status(200).json(versions);
   } catch (err) {
-    // if the file is missing or malformed json, surface it clearly rather than a generic 500
-    console.error('failed to read rules.json:', err);
-    return res.status(500).json({ error: 'could not load rules config' });
+    console.error('failed to list rule versions:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getRulesVersion = async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version)) return res.status(400).json({ error: 'invalid version number' });
+
+  try {
+    const found = await getRuleVersion(version);
+    if (!found) return res.status(404).json({ error: 'rule version not found' });
+    return res.status(200).json(found);
+  } catch (err) {
+    console.error('failed to fetch rule version:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const rollbackRulesConfig = async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version)) return res.status(400).json({ error: 'invalid version number' });
+
+  try {
+    const saved = await rollbackRules(version, req.user.email);
+    if (!saved) return res.status(404).json({ error: 'rule version not found' });
+    return res.status(200).json({ message: `rolled back to v${version}`, version: saved.version, rules: saved.rules });
+  } catch (err) {
+    if (err.name === 'RulesValidationError') {
+      // an old version can fail today's schema if the schema got stricter since it was saved
+      return res.status(400).json({ error: err.message, details: err.errors });
+    }
+
+    console.error('failed to roll back rules config:', err);
+    return res.status(500).json({ error: 'could not roll back rules config' });
   }
 };
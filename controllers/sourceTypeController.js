@@ -0,0 +1,22 @@
+import Alert from '../models/Alert.js';
+import { listSourceSchemas, getSourceSchema } from '../services/sourceSchemas.js';
+
+// registered schemas plus any source type that has actually sent alerts without one — the second list is
+// what to write schemas for before turning allow_unregistered off
+export const listSourceTypes = async (_req, res) => {
+  try {
+    const registered = listSourceSchemas();
+    const seen = await Alert.distinct('sourceType');
+    const unregistered = seen.filter((t) => !getSourceSchema(t)).sort();
+    return res.status(200).json({ registered, unregistered });
+  } catch (err) {
+    console.error('error listing source types:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getSourceType = (req, res) => {
+  const schema = getSourceSchema(req.params.sourceType);
+  if (!schema) return res.status(404).json({ error: 'source type is not registered' });
+  return res.status(200).json({ sourceType: req.params.sourceType, ...schema });
+};
@@ -0,0 +1,138 @@
+import SuppressionWindow from '../models/SuppressionWindow.js';
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isScalar = (v) => isNonEmptyString(v) || typeof v === 'number';
+
+const parseDate = (value) => {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// shared by create and update — returns { error } or { fields } holding only what was sent, normalized.
+// on update the time range is checked against the stored one, so moving just the end still can't invert it
+const validateWindow = (body, existing = null) => {
+  const fields = {};
+
+  if (body.reason !== undefined) {
+    if (!isNonEmptyString(body.reason)) return { error: 'reason must be a non-empty string' };
+    fields.reason = body.reason.trim();
+  }
+
+  if (body.sourceTypes !== undefined) {
+    const sourceTypes = [].concat(body.sourceTypes);
+    if (!sourceTypes.every(isNonEmptyString)) return { error: 'sourceTypes must be a string or an array of strings' };
+    fields.sourceTypes = [...new Set(sourceTypes.map((t) => t.trim()))];
+  }
+
+  if (body.metadata !== undefined) {
+    const { metadata } = body;
+    if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return { error: 'metadata must be an object like { "vehicleId": "KA-01" }' };
+    }
+    for (const [key, value] of Object.entries(metadata)) {
+      // same restriction as the meta.<key> list filter — no operators, no nested paths
+      if (!/^\w+$/.test(key)) return { error: `invalid metadata key ${key}` };
+      const ok = Array.isArray(value) ? value.length > 0 && value.every(isScalar) : isScalar(value);
+      if (!ok) return { error: `metadata.${key} must be a value or a non-empty array of values` };
+    }
+    fields.metadata = metadata;
+  }
+
+  for (const key of ['startsAt', 'endsAt']) {
+    if (body[key] === undefined) continue;
+    const date = parseDate(body[key]);
+    if (!date) return { error: `invalid ${key} date` };
+    fields[key] = date;
+  }
+
+  const startsAt = fields.startsAt ?? existing?.startsAt;
+  const endsAt = fields.endsAt ?? existing?.endsAt;
+  if (startsAt && endsAt && startsAt >= endsAt) return { error: 'endsAt must be after startsAt' };
+
+  // a window with no scope at all would mute every alert in the system
+  const sourceTypes = fields.sourceTypes ?? existing?.sourceTypes ?? [];
+  const metadata = fields.metadata ?? existing?.metadata ?? {};
+  if (!sourceTypes.length && !Object.keys(metadata).length) {
+    return { error: 'a window must be scoped by sourceTypes, metadata or both' };
+  }
+
+  return { fields };
+};
+
+// ?active=true for the windows covering right now, ?upcoming=true for ones that haven't ended yet
+export const listSuppressions = async (req, res) => {
+  const now = new Date();
+  const filter = {};
+  if (req.query.active === 'true') Object.assign(filter, { startsAt: { $lte: now }, endsAt: { $gte: now } });
+  else if (req.query.upcoming === 'true') filter.endsAt = { $gte: now };
+
+  try {
+    const windows = await SuppressionWindow.find(filter).sort({ startsAt: -1 }).lean();
+    return res.status(200).json(windows);
+  } catch (err) {
+    console.error('error listing suppression windows:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getSuppression = async (req, res) => {
+  try {
+    const window = await SuppressionWindow.findById(req.params.id).lean();
+    if (!window) return res.status(404).json({ error: 'suppression window not found' });
+    return res.status(200).json(window);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid suppression window id format' });
+    console.error('error fetching suppression window:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const createSuppression = async (req, res) => {
+  const body = req.body ?? {};
+  if (!body.reason || !body.startsAt || !body.endsAt) {
+    return res.status(400).json({ error: 'reason, startsAt and endsAt are required' });
+  }
+
+  const { error, fields } = validateWindow(body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const window = await SuppressionWindow.create({ ...fields, createdBy: req.user.email });
+    return res.status(201).json(window);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('error creating suppression window:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// changes apply to alerts ingested from now on — already-tagged alerts keep the window they were suppressed by
+export const updateSuppression = async (req, res) => {
+  try {
+    const existing = await SuppressionWindow.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'suppression window not found' });
+
+    const { error, fields } = validateWindow(req.body ?? {}, existing);
+    if (error) return res.status(400).json({ error });
+
+    const window = await SuppressionWindow.findByIdAndUpdate(existing._id, { $set: fields }, { new: true });
+    return res.status(200).json(window);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid suppression window id format' });
+    console.error('error updating suppression window:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const deleteSuppression = async (req, res) => {
+  try {
+    const window = await SuppressionWindow.findByIdAndDelete(req.params.id);
+    if (!window) return res.status(404).json({ error: 'suppression window not found' });
+    // alerts it suppressed keep their suppressedBy id — the tag records what happened at ingest
+    return res.status(200).json({ message: 'suppression window deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid suppression window id format' });
+    console.error('error deleting suppression window:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
@@ -0,0 +1,192 @@
+import User, { USER_ROLES } from '../models/User.js';
+import { hashPassword, passwordError } from '../services/passwords.js';
+import { revokeUserSessions } from '../services/sessions.js';
+
+// the password hash never leaves the server, not even to an admin
+const PUBLIC_FIELDS = { password: 0 };
+
+// missing counts as active — see the note on the field in models/User.js
+const ACTIVE = { $ne: false };
+const isActive = (user) => user.active !== false;
+const isAdmin = (user) => user.role === 'admin' && isActive(user);
+
+// refuses a change that would leave nobody able to manage users — the target is the admin about to be
+// demoted or deactivated. returns the error message, or null when another active admin remains
+const lastAdminError = async (target) => {
+  if (!isAdmin(target)) return null;
+  const others = await User.countDocuments({ _id: { $ne: target._id }, role: 'admin', active: ACTIVE });
+  return others === 0 ? 'cannot remove the last active admin' : null;
+};
+
+// ?role=admin|operator and ?active=true|false narrow the list
+export const listUsers = async (req, res) => {
+  const filter = {};
+  if (req.query.role !== undefined) {
+    if (!USER_ROLES.includes(req.query.role)) {
+      return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(', ')}` });
+    }
+    filter.role = req.query.role;
+  }
+  if (req.query.active === 'true') filter.active = ACTIVE;
+  else if (req.query.active === 'false') filter.active = false;
+
+  try {
+    // hydrated rather than lean, so users that predate the active field come back with its default
+    const users = await User.find(filter, PUBLIC_FIELDS).sort({ email: 1 });
+    return res.status(200).json(users);
+  } catch (err) {
+    console.error('error listing users:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id, PUBLIC_FIELDS);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    return res.status(200).json(user);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('error fetching user:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// also serves POST /api/auth/register, which predates this controller
+export const createUser = async (req, res) => {
+  const { email, password, role } = req.body ?? {};
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password are required' });
+  }
+
+  const invalid = passwordError(password);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const normalizedEmail = String(email).toLowerCase().trim(); // normalize so "User@X.com" and "user@x.com" can't become two separate accounts
+    const user = await User.create({ email: normalizedEmail, password: await hashPassword(password), role });
+
+    return res.status(201).json({ message: 'user registered', id: user._id, email: user.email, role: user.role });
+  } catch (err) {
+    if (err.code === 11000) {
+      // unique index on email — same as alertid dedup, surface a clear message rather than a raw mongo error
+      return res.status(409).json({ error: 'email already registered' });
+    }
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('unexpected error creating user:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// the role lives in the access token, so the user's sessions are revoked and they log in again under the new one
+export const updateUserRole = async (req, res) => {
+  const { role } = req.body ?? {};
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(', ')}` });
+  }
+
+  try {
+    const existing = await User.findById(req.params.id, PUBLIC_FIELDS);
+    if (!existing) return res.status(404).json({ error: 'user not found' });
+    if (existing.role === role) return res.status(200).json(existing);
+
+    if (role !== 'admin') {
+      const blocked = await lastAdminError(existing);
+      if (blocked) return res.status(409).json({ error: blocked });
+    }
+
+    const user = await User.findByIdAndUpdate(existing._id, { $set: { role } }, { new: true, projection: PUBLIC_FIELDS });
+    await revokeUserSessions(user._id, req.user.email, 'role changed');
+    return res.status(200).json(user);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('error updating user role:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// blocks login and ends every session the user has — authMiddleware rejects their access tokens from the next request
+export const deactivateUser = async (req, res) => {
+  try {
+    const existing = await User.findById(req.params.id, PUBLIC_FIELDS).lean();
+    if (!existing) return res.status(404).json({ error: 'user not found' });
+    if (!isActive(existing)) return res.status(409).json({ error: 'user already deactivated' });
+
+    const blocked = await lastAdminError(existing);
+    if (blocked) return res.status(409).json({ error: blocked });
+
+    // guarded on active so two admins deactivating at once don't overwrite each other's deactivatedBy
+    const user = await User.findOneAndUpdate(
+      { _id: existing._id, active: ACTIVE },
+      { $set: { active: false, deactivatedAt: new Date(), deactivatedBy: req.user.email } },
+      { new: true, projection: PUBLIC_FIELDS }
+    );
+    if (!user) return res.status(409).json({ error: 'user already deactivated' });
+
+    await revokeUserSessions(user._id, req.user.email, 'user deactivated');
+    return res.status(200).json(user);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('error deactivating user:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, active: false },
+      { $set: { active: true, deactivatedAt: null, deactivatedBy: null } },
+      { new: true, projection: PUBLIC_FIELDS }
+    );
+    if (user) return res.status(200).json(user);
+
+    const exists = await User.exists({ _id: req.params.id });
+    if (!exists) return res.status(404).json({ error: 'user not found' });
+    return res.status(409).json({ error: 'user is already active' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('error reactivating user:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// the admin sets the new password and hands it over out of band. existing sessions are revoked,
+// since a reset usually means the old password can't be trusted
+export const resetPassword = async (req, res) => {
+  const { password } = req.body ?? {};
+  const invalid = passwordError(password);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { password: await hashPassword(password), passwordChangedAt: new Date() } },
+      { new: true, projection: PUBLIC_FIELDS }
+    );
+    if (!user) return res.status(404).json({ error: 'user not found' });
+
+    const revoked = await revokeUserSessions(user._id, req.user.email, 'password reset');
+    return res.status(200).json({ message: 'password reset', email: user.email, revoked });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('error resetting password:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+// admin kill switch for a lost laptop or a leaked token — every session the user has, on every device
+export const revokeSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id, { email: 1 }).lean();
+    if (!user) return res.status(404).json({ error: 'user not found' });
+
+    const revoked = await revokeUserSessions(user._id, req.user.email, 'revoked by admin');
+    return res.status(200).json({ message: 'sessions revoked', email: user.email, revoked });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid user id format' });
+    console.error('unexpected error revoking sessions:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
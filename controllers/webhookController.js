@@ -0,0 +1,145 @@
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { ALERT_EVENTS } from '../services/alertEvents.js';
+import { generateSecret } from '../services/webhooks.js';
+
+const KNOWN_EVENTS = Object.values(ALERT_EVENTS);
+
+// shared by create and update — returns an error string, or null when the fields that were sent are valid
+const validateFields = ({ url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a valid absolute url';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must use http or https';
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+    const unknown = events.filter((e) => !KNOWN_EVENTS.includes(e));
+    if (unknown.length > 0) return `unknown events: ${unknown.join(', ')} — expected any of ${KNOWN_EVENTS.join(', ')}`;
+  }
+
+  return null;
+};
+
+export const listWebhooks = async (_req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    return res.status(200).json(subscriptions);
+  } catch (err) {
+    console.error('error listing webhooks:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'webhook not found' });
+    return res.status(200).json(subscription);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid webhook id format' });
+    console.error('error fetching webhook:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const createWebhook = async (req, res) => {
+  const { url, events, description } = req.body ?? {};
+
+  if (!url || !events) return res.status(400).json({ error: 'url and events are required' });
+  const invalid = validateFields({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      secret,
+      createdBy: req.user.email,
+    });
+
+    // the only time the secret leaves the server — the receiver needs it to verify signatures
+    return res.status(201).json({ ...subscription.toObject(), secret });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    console.error('error creating webhook:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const updateWebhook = async (req, res) => {
+  const { url, events, description, active } = req.body ?? {};
+
+  const invalid = validateFields({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: 'active must be a boolean' });
+
+  // only touch what was sent, so a PATCH with just { active: false } doesn't wipe the url
+  const update = {};
+  if (url !== undefined) update.url = url;
+  if (events !== undefined) update.events = [...new Set(events)];
+  if (description !== undefined) update.description = description;
+  if (active !== undefined) update.active = active;
+
+  try {
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
+    if (!subscription) return res.status(404).json({ error: 'webhook not found' });
+    return res.status(200).json(subscription);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid webhook id format' });
+    console.error('error updating webhook:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: { secret } }, { new: true });
+    if (!subscription) return res.status(404).json({ error: 'webhook not found' });
+    // pending retries will be signed with the new secret — receivers should switch over before the next attempt
+    return res.status(200).json({ ...subscription.toObject(), secret });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid webhook id format' });
+    console.error('error rotating webhook secret:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'webhook not found' });
+    // delivery rows are kept as history; the retry worker marks any still-pending ones failed on its next pass
+    return res.status(200).json({ message: 'webhook deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid webhook id format' });
+    console.error('error deleting webhook:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+export const getWebhookDeliveries = async (req, res) => {
+  const { status, limit = 50 } = req.query;
+
+  const filter = { subscription: req.params.id };
+  if (status) filter.status = status;
+
+  try {
+    const deliveries = await WebhookDelivery.find(filter, { payload: 0 }) // payload can be large, fetch the alert instead
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200));
+    return res.status(200).json(deliveries);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'invalid webhook id format' });
+    console.error('error fetching webhook deliveries:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
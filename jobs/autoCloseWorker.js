@@ -1,68 +1,93 @@
 import cron from 'node-cron';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import Alert from '../models/Alert.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// same pattern as the rule engine — read once, reuse forever
-const rules = JSON.parse(readFileSync(join(__dirname, '../rules.json'), 'utf-8'));
+import { historyEntry, ACTOR_AUTO_CLOSE } from '../services/alertHistory.js';
+import { getRules } from '../services/rulesStore.js';
+import { rulesForAlert, autoClosePredicates, matchesMetadata } from '../services/ruleDsl.js';
+import { emitAlertEvent, ALERT_EVENTS } from '../services/alertEvents.js';
+import { statesAllowing } from '../services/alertStateMachine.js';
+import { invalidate, ALERT_CACHES } from '../services/cache.js';
 
 const runAutoClose = async () => {
-  // only pull alerts that are still "live" — loading AUTO-CLOSED or RESOLVED docs would be wasted work
-  const candidates = await Alert.find({ status: { $in: ['OPEN', 'ESCALATED'] } }).lean();
+  // snapshot once per tick — a rules update mid-tick shouldn't apply half-old, half-new thresholds
+  const rules = getRules();
+
+  // only pull alerts the transition table still lets us close — closed ones, and ones an operator is
+  // actively working (ACKNOWLEDGED/ASSIGNED), would be wasted work
+  const candidates = await Alert.find({ status: { $in: statesAllowing('AUTO-CLOSED') } }).lean();
 
   if (candidates.length === 0) return;
 
   const now = Date.now();
+  let closedCount = 0;
 
   for (const candidate of candidates) {
-    const rule = rules[candidate.sourceType];
-    
+    // every rule whose match block accepts this alert, in file order — the first one that says "close" wins
+    const matching = rulesForAlert(rules, candidate);
+
     // Testing:
-    // console.log(`checking ${candidate.alertid} | sourceType: ${candidate.sourceType} | status: ${candidate.status} | rule: ${JSON.stringify(rule)}`);
+    // console.log(`checking ${candidate.alertid} | sourceType: ${candidate.sourceType} | status: ${candidate.status} | rules: ${matching.map(([n]) => n)}`);
 
-    // no policy for this sourceType — don't make assumptions about when it should close
-    if (!rule) continue;
+    // no policy for this alert — don't make assumptions about when it should close
+    if (matching.length === 0) continue;
 
     let shouldClose = false;
     let closureNote = '';
+    let ruleName = null;
 
-    if (rule.auto_close_mins) {
-      const thresholdMs = rule.auto_close_mins * 60 * 1000;
-      const ageMs = now - new Date(candidate.timestamp).getTime();
-    
-    // Testing:
-    //   console.log(`  ageMs: ${ageMs} | thresholdMs: ${thresholdMs} | old enough: ${ageMs >= thresholdMs}`);
+    for (const [name, rule] of matching) {
+      const closeWhen = autoClosePredicates(rule);
+
+      if (rule.auto_close_mins) {
+        // an escalation is a real problem waiting on a human — aging it out quietly is what the tiers exist
+        // to prevent, so only a rule that explicitly opts in with auto_close_escalated may do it
+        if (candidate.status === 'ESCALATED' && !rule.auto_close_escalated) continue;
 
-      if (ageMs >= thresholdMs) {
+        const thresholdMs = rule.auto_close_mins * 60 * 1000;
+        const ageMs = now - new Date(candidate.timestamp).getTime();
+
+        // Testing:
+        //   console.log(`  ageMs: ${ageMs} | thresholdMs: ${thresholdMs} | old enough: ${ageMs >= thresholdMs}`);
+
+        if (ageMs >= thresholdMs) {
+          shouldClose = true;
+          closureNote = `auto-closed after ${rule.auto_close_mins} mins with no resolution`;
+        }
+      } else if (closeWhen && matchesMetadata(closeWhen, candidate.metadata)) {
+        // metadata-based close — the rule carries the predicate, so we don't hardcode "document_valid" here;
+        // any future compliance-style rule just needs an auto_close_if / auto_close_when entry in the json
         shouldClose = true;
-        closureNote = `auto-closed after ${rule.auto_close_mins} mins with no resolution`;
+        closureNote = `auto-closed because metadata matched ${JSON.stringify(closeWhen)}`;
       }
-    } else if (rule.auto_close_if) {
-      // metadata-based close — the rule says which key to check, so we don't hardcode "document_valid" here;
-      // any future compliance-style rule just needs a new auto_close_if entry in the json
-      const metaKey = rule.auto_close_if;
-      if (candidate.metadata?.[metaKey] === true) {
-        shouldClose = true;
-        closureNote = `auto-closed because ${metaKey} is true`;
+
+      if (shouldClose) {
+        ruleName = name;
+        break;
       }
     }
 
     if (!shouldClose) continue;
 
     // atomic filter on status in the update itself — if two cron ticks overlap (e.g. slow db),
-    // the second findOneAndUpdate finds no matching doc because the first already flipped it to AUTO-CLOSED
+    // the second findOneAndUpdate finds no matching doc because the first already flipped it to AUTO-CLOSED.
+    // matching the exact status we read also keeps the history entry's `from` honest
     const updated = await Alert.findOneAndUpdate(
-      { _id: candidate._id, status: { $in: ['OPEN', 'ESCALATED'] } },
+      { _id: candidate._id, status: candidate.status },
       {
         $set: {
           status: 'AUTO-CLOSED',
           'metadata.closedAt': new Date(),
           'metadata.closureNote': closureNote,
         },
+        // pushed in the same update as the status flip so the log can never disagree with the document
+        $push: {
+          history: historyEntry({
+            from: candidate.status,
+            to: 'AUTO-CLOSED',
+            actor: ACTOR_AUTO_CLOSE,
+            reason: closureNote,
+            rule: ruleName,
+          }),
+        },
       },
       { returnDocument: 'after' }
     );
@@ -70,8 +95,13 @@ const runAutoClose = async () => {
     // updated is null if another tick already closed this one — nothing to log
     if (updated) {
       console.log(`auto-closed alert ${updated.alertid} — ${closureNote}`);
+      emitAlertEvent(ALERT_EVENTS.AUTO_CLOSED, updated);
+      closedCount++;
     }
   }
+
+  // the trends' auto-closed series and the summary both moved — once per tick, not per alert
+  if (closedCount > 0) await invalidate(ALERT_CACHES);
 };
 
 export const startAutoCloseWorker = () => {
@@ -0,0 +1,90 @@
+import cron from 'node-cron';
+import Alert from '../models/Alert.js';
+import { historyEntry, ACTOR_ESCALATION } from '../services/alertHistory.js';
+import { getRules } from '../services/rulesStore.js';
+import { emitAlertEvent, ALERT_EVENTS } from '../services/alertEvents.js';
+import { SLA_STATUSES, enterTier, nextTier } from '../services/escalationPolicy.js';
+import { severityRank } from '../services/ruleDsl.js';
+import { invalidate, ALERT_CACHES } from '../services/cache.js';
+
+const runEscalation = async () => {
+  // snapshot once per tick, same as the auto-close worker
+  const rules = getRules();
+  const now = new Date();
+
+  // acknowledged and closed alerts drop out on status alone — their SLA was met, or no longer matters
+  const due = await Alert.find({
+    status: { $in: SLA_STATUSES },
+    'escalation.slaDueAt': { $lte: now },
+    'escalation.breachedAt': null,
+  }).lean();
+
+  let promotedCount = 0;
+  for (const alert of due) {
+    const { escalation } = alert;
+
+    // tiers are read from the live rule set, so shortening a policy applies to alerts already in flight
+    const tiers = rules[escalation.rule]?.escalation_tiers;
+    const current = tiers?.[escalation.level];
+    const next = nextTier(tiers, escalation.level);
+
+    // every update is conditional on the level we read — two overlapping ticks can't promote the same alert twice
+    const guard = { _id: alert._id, status: alert.status, 'escalation.level': escalation.level };
+
+    if (!next) {
+      // top of the ladder (or the rule lost its tiers) — record the breach once so the dashboard can show it
+      await Alert.updateOne({ ...guard, 'escalation.breachedAt': null }, { $set: { 'escalation.breachedAt': now } });
+      console.warn(`escalation SLA breached for ${alert.alertid} at ${escalation.tier}, no further tier`);
+      continue;
+    }
+
+    const promoted = enterTier(escalation.rule, tiers, escalation.level + 1, now);
+    const waited = current?.sla_mins ? `${current.sla_mins} mins` : 'its SLA';
+    let reason = `not acknowledged within ${waited} at ${escalation.tier}, promoted to ${promoted.tier}`;
+
+    // a tier may carry a severity — only ever raised, same as the rule engine's upgrades
+    const set = { escalation: promoted };
+    if (next.severity && severityRank(next.severity) > severityRank(alert.severity)) {
+      set.severity = next.severity;
+      reason += `; severity raised from ${alert.severity} to ${next.severity}`;
+    }
+
+    const updated = await Alert.findOneAndUpdate(
+      guard,
+      {
+        $set: set,
+        // status doesn't change, but a promotion is exactly what an incident review asks about, so it's logged
+        $push: {
+          history: historyEntry({ from: alert.status, to: alert.status, actor: ACTOR_ESCALATION, reason, rule: escalation.rule }),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+
+    // null when someone acknowledged it (or another tick promoted it) between the scan and the write
+    if (updated) {
+      console.log(`escalated alert ${updated.alertid} — ${reason}`);
+      emitAlertEvent(ALERT_EVENTS.TIER_PROMOTED, updated);
+      promotedCount++;
+    }
+  }
+
+  // a tier can raise severity, which the summary counts by — invalidated once per tick, not per alert
+  if (promotedCount > 0) await invalidate(ALERT_CACHES);
+};
+
+export const startEscalationWorker = () => {
+  // catch up on anything whose SLA passed while the server was down
+  runEscalation().catch((err) => console.error('escalation catch-up on startup failed:', err));
+
+  // every minute — SLAs are configured in minutes, a coarser tick would let them overrun noticeably
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runEscalation();
+    } catch (err) {
+      console.error('escalation worker tick failed:', err);
+    }
+  });
+
+  console.log('escalation worker started (every 1 min)');
+};
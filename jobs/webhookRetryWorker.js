@@ -0,0 +1,18 @@
+import cron from 'node-cron';
+import { retryDueDeliveries } from '../services/webhooks.js';
+
+export const startWebhookRetryWorker = () => {
+  // catch up on anything left pending while the server was down
+  retryDueDeliveries().catch((err) => console.error('webhook retry catch-up on startup failed:', err));
+
+  // every minute — the shortest backoff is 30s, so a coarser tick would stretch the early retries
+  cron.schedule('* * * * *', async () => {
+    try {
+      await retryDueDeliveries();
+    } catch (err) {
+      console.error('webhook retry worker tick failed:', err);
+    }
+  });
+
+  console.log('webhook retry worker started (every 1 min)');
+};
@@ -1,6 +1,25 @@
 import jwt from 'jsonwebtoken';
+import { API_KEY_PREFIX, resolveApiKey } from '../services/apiKeys.js';
+import { isSessionActive, isStreamTicket, redeemStreamTicket } from '../services/sessions.js';
+
+// service accounts send X-API-Key, or the key as a bearer token — either way it never goes through jwt.verify
+const authenticateApiKey = async (key, req, res, next) => {
+  try {
+    const identity = await resolveApiKey(key);
+    // same message for unknown and revoked — don't confirm that a key once existed
+    if (!identity) return res.status(401).json({ error: 'invalid api key' });
+    req.user = identity;
+    next();
+  } catch (err) {
+    console.error('api key lookup failed:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+};
+
+const authenticate = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (typeof apiKey === 'string' && apiKey) return authenticateApiKey(apiKey, req, res, next);
 
-const authenticate = (req, res, next) => {
   const authHeader = req.headers['authorization'];
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -9,22 +28,55 @@ const authenticate = (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
+  if (token?.startsWith(API_KEY_PREFIX)) return authenticateApiKey(token, req, res, next);
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
     // verify throws on expired or tampered tokens — the catch below handles both cases
-
-    req.user = decoded;
-    // attach to req so downstream controllers can read role/userId without re-decoding
-    next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
+      // the dashboard reads this exact message as "refresh and retry"
       return res.status(401).json({ error: 'token expired, please log in again' });
     }
 
     // covers JsonWebTokenError (bad signature, malformed token, wrong secret)
     return res.status(401).json({ error: 'invalid token' });
   }
+
+  // a stream ticket only opens the live stream, through authenticateStreamTicket — never anything else
+  if (isStreamTicket(decoded)) return res.status(401).json({ error: 'invalid token' });
+
+  // every access token belongs to a session, and a valid signature isn't enough once that session is revoked.
+  // tokens without one predate refresh tokens and are refused the same way
+  try {
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'session revoked, please log in again' });
+    }
+  } catch (err) {
+    console.error('session lookup failed:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+
+  req.user = decoded;
+  // attach to req so downstream controllers can read role/userId without re-decoding
+  next();
+};
+
+// EventSource can't set request headers, so the stream endpoint takes a one-time ticket from
+// POST /api/alerts/stream/ticket as ?ticket= instead. the access token itself never goes in a url
+export const authenticateStreamTicket = async (req, res, next) => {
+  if (typeof req.query.ticket !== 'string') return res.status(401).json({ error: 'missing stream ticket' });
+
+  try {
+    const claims = await redeemStreamTicket(req.query.ticket);
+    if (!claims) return res.status(401).json({ error: 'invalid stream ticket' });
+    req.user = claims;
+    next();
+  } catch (err) {
+    console.error('session lookup failed:', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
 };
 
 export default authenticate;
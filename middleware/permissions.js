@@ -0,0 +1,33 @@
+// capabilities are what routes ask for; roles are just named bundles of them.
+// routes never check role names directly, so adding a role (or moving a capability) is a one-line change here
+export const PERMISSIONS = {
+  INGEST: 'alerts:ingest',
+  VIEW: 'alerts:view',
+  RESOLVE: 'alerts:resolve',
+  TRIAGE: 'alerts:triage', // acknowledge, assign, reassign
+  MANAGE_RULES: 'rules:manage',
+  MANAGE_USERS: 'users:manage',
+  MANAGE_WEBHOOKS: 'webhooks:manage',
+  MANAGE_SUPPRESSIONS: 'suppressions:manage',
+  MANAGE_API_KEYS: 'apikeys:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  // operators work the queue — they see and resolve alerts, but can't inject them or change how they escalate
+  operator: [PERMISSIONS.VIEW, PERMISSIONS.TRIAGE, PERMISSIONS.RESOLVE],
+  // api keys — upstream systems push alerts and nothing else, not even read them back
+  service: [PERMISSIONS.INGEST],
+};
+
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] ?? []).includes(permission);
+
+// runs after authenticate — req.user is the decoded token, so this is a pure lookup with no db hit
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'insufficient permissions' });
+  }
+  next();
+};
+
+export default authorize;
@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+// one entry per state change, written at the moment it happens — never reconstructed at read time
+const historyEntrySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null }, // null on the very first entry, there's no prior state
+    status: { type: String, required: true },
+    at: { type: Date, required: true },
+    actor: { type: String, required: true }, // operator email, or a system actor like 'rule-engine'
+    reason: { type: String, default: '' },
+    rule: { type: String, default: null }, // name of the rule that drove the change, when there is one
+  },
+  { _id: false }
+);
+
+// where an escalated alert sits in its rule's escalation_tiers — only set once a rule escalates it
+const escalationSchema = new mongoose.Schema(
+  {
+    rule: { type: String, required: true }, // the rule whose tiers apply, looked up again on every promotion
+    level: { type: Number, required: true }, // index into the rule's escalation_tiers
+    tier: { type: String, required: true }, // the tier's name (L1, L2...), denormalized for the dashboard
+    enteredAt: { type: Date, required: true },
+    slaDueAt: { type: Date, default: null }, // null when the tier has no SLA
+    breachedAt: { type: Date, default: null }, // set when the last tier's SLA passes with nowhere left to go
+  },
+  { _id: false }
+);
+
 const alertSchema = new mongoose.Schema(
   {
     alertid: {
@@ -11,27 +37,97 @@ const alertSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // always on the canonical info → critical scale, and the one rules may raise on escalation
     severity: {
       type: String,
       required: true,
     },
+    // the canonical severity at ingest, before any rule raised it — kept so "was medium, escalated to
+    // critical" stays answerable
+    reportedSeverity: {
+      type: String,
+      default: null,
+    },
+    // exactly what the source sent ("HIGH", "warn", "2"), for tracing a mapping back to the raw payload
+    sourceSeverity: {
+      type: String,
+      default: null,
+    },
     timestamp: {
       type: Date,
       required: true,
     },
     status: {
       type: String,
-      enum: ['OPEN', 'ESCALATED', 'AUTO-CLOSED', 'RESOLVED'], // locked here so invalid state transitions never reach the db
+      enum: ['OPEN', 'ESCALATED', 'ACKNOWLEDGED', 'ASSIGNED', 'AUTO-CLOSED', 'RESOLVED'], // locked here so invalid state transitions never reach the db
       required: true,
       default: 'OPEN',
     },
     metadata: {
       type: mongoose.Schema.Types.Mixed, // different alert sources send different shapes, keeping this flexible
     },
+    // ownership lives on the alert itself, not in metadata — "my alerts" filters on it and it's ours, not the source's
+    assignedTo: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: String,
+      default: null,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    // set at ingest when a rule with correlate_by groups this alert with related ones
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident',
+      default: null,
+      index: true,
+    },
+    // the service account that sent the alert — null when a person ingested it with a jwt
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null,
+    },
+    // set at ingest when a maintenance/outage window covered the alert — stored for the record, never escalated
+    suppressedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SuppressionWindow',
+      default: null,
+      index: true,
+    },
+    escalation: {
+      type: escalationSchema,
+      default: null,
+    },
+    history: {
+      type: [historyEntrySchema], // embedded rather than a separate collection — a single fetch returns the full timeline
+      default: [],
+    },
   },
   { timestamps: false }
 );
 
+// the dashboard's most common query — one status within a time window, newest first
+alertSchema.index({ status: 1, timestamp: -1 });
+// backs cursor pagination on GET /api/alerts, which sorts on (timestamp, _id)
+alertSchema.index({ timestamp: -1, _id: -1 });
+// the escalation worker's scan — unacknowledged escalations whose SLA has passed
+alertSchema.index({ status: 1, 'escalation.slaDueAt': 1 });
+// driver profiles — one driver's alerts in a time range. partial, since most source types carry no driver
+alertSchema.index(
+  { 'metadata.driverId': 1, timestamp: -1 },
+  { partialFilterExpression: { 'metadata.driverId': { $exists: true } } }
+);
+
 const Alert = mongoose.model('Alert', alertSchema);
 
 export default Alert;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// a service account for machine-to-machine ingestion — upstream systems send alerts with one of these
+// instead of logging in as a person
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true, // "telematics-gateway" — shows up as the actor on every alert the key sends
+      trim: true,
+    },
+    // sha256 of the key, never the key itself. keys are 256 random bits, so a slow hash like bcrypt buys
+    // nothing here and would cost a bcrypt round on every ingest request
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    prefix: {
+      type: String,
+      required: true, // first few characters, so an admin can tell which key is which without seeing it
+    },
+    sourceTypes: {
+      type: [String],
+      default: [], // empty means the key may ingest any source type
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    // revoked rather than deleted, so alerts keep pointing at a key that still says who it was
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// a group of related alerts operators handle as one thing — "DRV-101 keeps speeding" instead of ten rows.
+// status and severity are rolled up from the member alerts, never set directly except by resolving the incident
+const incidentSchema = new mongoose.Schema(
+  {
+    // sourceType plus the rule's correlation key values, e.g. "overspeed|driverId=DRV-101"
+    key: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    rule: {
+      type: String, // the rule whose correlate_by produced the key
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      type: mongoose.Schema.Types.Mixed, // { driverId: 'DRV-101' } — the values the alerts have in common
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['OPEN', 'ESCALATED', 'ACKNOWLEDGED', 'RESOLVED'],
+      required: true,
+      default: 'OPEN',
+    },
+    severity: {
+      type: String,
+      required: true,
+    },
+    alertCount: {
+      type: Number,
+      default: 0,
+    },
+    firstAlertAt: {
+      type: Date,
+      required: true,
+    },
+    // the correlation window slides from here — a new alert joins if it lands within window_mins of the last one
+    lastAlertAt: {
+      type: Date,
+      required: true,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// the incidents view — newest activity first, usually filtered to unresolved ones
+incidentSchema.index({ status: 1, lastAlertAt: -1 });
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// one row per (alert, event, channel) attempt chain — answers "did anyone actually get paged for this?"
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      required: true,
+      index: true, // the drill-down looks deliveries up by alert
+    },
+    alertid: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    channel: {
+      type: String,
+      required: true, // channel name from notifications.json, not its type — two webhooks are two channels
+    },
+    channelType: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+export default NotificationDelivery;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// every accepted rule set is kept, not just the live one — rollback is just re-applying an older version
+const ruleVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true, // monotonically increasing, two concurrent writers can't both claim the same number
+    },
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    updatedBy: {
+      type: String,
+      required: true, // operator email, or 'system' for the seed taken from rules.json at startup
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+const RuleVersion = mongoose.model('RuleVersion', ruleVersionSchema);
+
+export default RuleVersion;
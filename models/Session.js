@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// one login. the refresh token rotates on every use, but the session — and the sid baked into every
+// access token issued under it — stays the same, so revoking it cuts off the whole chain at once
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // "revoke all sessions for user" is a lookup by this
+    },
+    // sha256 of the refresh token currently valid for this session — never the token itself
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // tokens this session has already rotated away from, the most recent REUSE_HISTORY of them (services/sessions.js).
+    // one of these coming back means it was copied, and the session is revoked rather than guessing which side is the real client
+    rotatedHashes: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // sliding — pushed forward on every refresh, so an idle session lapses but an open dashboard doesn't
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastRefreshedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: String,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// mongo's ttl monitor clears out lapsed sessions — by then every access token under them has expired too
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
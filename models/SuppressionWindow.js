@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// "vehicle KA-01 is in the workshop until friday" — alerts that match while a window covers their timestamp
+// are still stored, but tagged and kept away from escalation and notifications
+const suppressionWindowSchema = new mongoose.Schema(
+  {
+    reason: {
+      type: String,
+      required: true,
+    },
+    sourceTypes: {
+      type: [String],
+      default: [], // empty means any source
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed, // { vehicleId: 'KA-01' } or { region: ['north', 'east'] } — every key must match
+      default: {},
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// ingest asks "which windows cover this timestamp" for every alert
+suppressionWindowSchema.index({ startsAt: 1, endsAt: 1 });
+
+const SuppressionWindow = mongoose.model('SuppressionWindow', suppressionWindowSchema);
+
+export default SuppressionWindow;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// roles a person can hold — api keys get the service role, but that's never stored on a user
+export const USER_ROLES = ['admin', 'operator'];
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -16,9 +19,28 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['admin', 'operator'],
+      enum: USER_ROLES,
       default: 'operator', // least privilege by default — admins are explicitly assigned
     },
+    // deactivated rather than deleted, so the alerts and history entries naming this email still mean something.
+    // users created before this field existed don't have it — queries treat a missing value as active
+    // (active: { $ne: false }), and lean reads must compare with === false since they skip this default
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: String,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// the payload is frozen at event time and stored here, so every retry sends byte-identical json
+// and the receiver can dedupe on the delivery id
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      required: true,
+    },
+    alertid: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// the retry worker's only query — pending rows whose backoff has elapsed
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
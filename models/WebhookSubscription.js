@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    events: {
+      type: [String],
+      required: true, // subset of ALERT_EVENTS — validated in the controller so the error names the bad event
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // only the signer needs it — list/get responses never leak it after creation
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    active: {
+      type: Boolean,
+      default: true, // pausing a subscription keeps its delivery history, deleting doesn't
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+export default WebhookSubscription;
@@ -1,16 +1,45 @@
 import express from 'express';
-import { createAlert, getAlerts, getSummary, getTrends, getAlertHistory, resolveAlert } from '../controllers/alertController.js';
-import authenticate from '../middleware/authMiddleware.js';
+import {
+  createAlert,
+  createAlertsBulk,
+  createStreamTicket,
+  streamAlerts,
+  getAlerts,
+  exportAlerts,
+  getSummary,
+  getTrends,
+  getMetrics,
+  getAlertHistory,
+  getAlertNotifications,
+  acknowledgeAlert,
+  assignAlert,
+  reassignAlert,
+  resolveAlert,
+  reopenAlert,
+} from '../controllers/alertController.js';
+import authenticate, { authenticateStreamTicket } from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
 
 const router = express.Router();
 
 // every alert route goes through authenticate first — unauthenticated ingestion would
 // make the whole rule engine trivially abusable from the outside
-router.get('/summary', authenticate, getSummary);
-router.get('/trends', authenticate, getTrends);
-router.get('/', authenticate, getAlerts);
-router.get('/:id/history', authenticate, getAlertHistory);
-router.post('/', authenticate, createAlert);
-router.patch('/:id/resolve', authenticate, resolveAlert);
+router.get('/summary', authenticate, authorize(PERMISSIONS.VIEW), getSummary);
+router.get('/trends', authenticate, authorize(PERMISSIONS.VIEW), getTrends);
+router.get('/metrics', authenticate, authorize(PERMISSIONS.VIEW), getMetrics);
+router.post('/stream/ticket', authenticate, authorize(PERMISSIONS.VIEW), createStreamTicket);
+router.get('/stream', authenticateStreamTicket, authorize(PERMISSIONS.VIEW), streamAlerts);
+router.get('/', authenticate, authorize(PERMISSIONS.VIEW), getAlerts);
+router.get('/export', authenticate, authorize(PERMISSIONS.VIEW), exportAlerts);
+router.get('/:id/history', authenticate, authorize(PERMISSIONS.VIEW), getAlertHistory);
+router.get('/:id/notifications', authenticate, authorize(PERMISSIONS.VIEW), getAlertNotifications);
+router.post('/', authenticate, authorize(PERMISSIONS.INGEST), createAlert);
+// ndjson arrives as text and is split per line in the controller; json arrays are already parsed by express.json
+router.post('/bulk', authenticate, authorize(PERMISSIONS.INGEST), express.text({ type: 'application/x-ndjson', limit: '5mb' }), createAlertsBulk);
+router.patch('/:id/acknowledge', authenticate, authorize(PERMISSIONS.TRIAGE), acknowledgeAlert);
+router.patch('/:id/assign', authenticate, authorize(PERMISSIONS.TRIAGE), assignAlert);
+router.patch('/:id/reassign', authenticate, authorize(PERMISSIONS.TRIAGE), reassignAlert);
+router.patch('/:id/resolve', authenticate, authorize(PERMISSIONS.RESOLVE), resolveAlert);
+router.patch('/:id/reopen', authenticate, authorize(PERMISSIONS.RESOLVE), reopenAlert);
 
 export default router;
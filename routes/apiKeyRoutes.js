@@ -0,0 +1,16 @@
+import express from 'express';
+import { listApiKeys, getApiKey, createApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// a key can inject alerts into the queue, so handing them out is admin-only
+router.use(authenticate, authorize(PERMISSIONS.MANAGE_API_KEYS));
+
+router.get('/', listApiKeys);
+router.post('/', createApiKey);
+router.get('/:id', getApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
@@ -1,9 +1,16 @@
 import express from 'express';
-import { register, login } from '../controllers/authController.js';
+import { login, refresh, logout } from '../controllers/authController.js';
+import { createUser } from '../controllers/userController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
 
 const router = express.Router();
 
-router.post('/register', register);
+// accounts are provisioned by an admin — an open register route would let anyone mint themselves an admin.
+// kept for existing scripts; POST /api/users does the same thing
+router.post('/register', authenticate, authorize(PERMISSIONS.MANAGE_USERS), createUser);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
 
 export default router;
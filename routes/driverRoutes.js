@@ -0,0 +1,14 @@
+import express from 'express';
+import { getLeaderboard, getDriverProfile } from '../controllers/driverController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// drivers aren't a collection of their own — both views are aggregations over alerts, so viewing alerts is enough
+router.use(authenticate, authorize(PERMISSIONS.VIEW));
+
+router.get('/', getLeaderboard);
+router.get('/:driverId', getDriverProfile);
+
+export default router;
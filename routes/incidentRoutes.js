@@ -0,0 +1,13 @@
+import express from 'express';
+import { listIncidents, getIncident, resolveIncident } from '../controllers/incidentController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// incidents are views over alerts, so they use the same capabilities as the alerts themselves
+router.get('/', authenticate, authorize(PERMISSIONS.VIEW), listIncidents);
+router.get('/:id', authenticate, authorize(PERMISSIONS.VIEW), getIncident);
+router.patch('/:id/resolve', authenticate, authorize(PERMISSIONS.RESOLVE), resolveIncident);
+
+export default router;
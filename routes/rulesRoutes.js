@@ -1,10 +1,21 @@
 import express from 'express';
-import { getRulesConfig } from '../controllers/rulesController.js';
+import {
+  getRulesConfig,
+  updateRulesConfig,
+  getRulesVersions,
+  getRulesVersion,
+  rollbackRulesConfig,
+} from '../controllers/rulesController.js';
 import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
 
 const router = express.Router();
 
-// admin-only view of active thresholds — still behind auth so random users can't use it.
-router.get('/config', authenticate, getRulesConfig);
+// thresholds decide what escalates for the whole fleet, so even reading them is admin-only
+router.get('/config', authenticate, authorize(PERMISSIONS.MANAGE_RULES), getRulesConfig);
+router.put('/config', authenticate, authorize(PERMISSIONS.MANAGE_RULES), updateRulesConfig);
+router.get('/versions', authenticate, authorize(PERMISSIONS.MANAGE_RULES), getRulesVersions);
+router.get('/versions/:version', authenticate, authorize(PERMISSIONS.MANAGE_RULES), getRulesVersion);
+router.post('/versions/:version/rollback', authenticate, authorize(PERMISSIONS.MANAGE_RULES), rollbackRulesConfig);
 
 export default router;
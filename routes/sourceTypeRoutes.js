@@ -0,0 +1,14 @@
+import express from 'express';
+import { listSourceTypes, getSourceType } from '../controllers/sourceTypeController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// payload schemas are ingest configuration, so they sit with the rules under the same admin capability
+router.use(authenticate, authorize(PERMISSIONS.MANAGE_RULES));
+
+router.get('/', listSourceTypes);
+router.get('/:sourceType', getSourceType);
+
+export default router;
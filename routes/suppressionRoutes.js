@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  listSuppressions,
+  getSuppression,
+  createSuppression,
+  updateSuppression,
+  deleteSuppression,
+} from '../controllers/suppressionController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// a window silences escalations and notifications, so defining one is admin-only like the rules themselves
+router.use(authenticate, authorize(PERMISSIONS.MANAGE_SUPPRESSIONS));
+
+router.get('/', listSuppressions);
+router.post('/', createSuppression);
+router.get('/:id', getSuppression);
+router.patch('/:id', updateSuppression);
+router.delete('/:id', deleteSuppression);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  createUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  resetPassword,
+  revokeSessions,
+} from '../controllers/userController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(PERMISSIONS.MANAGE_USERS));
+
+router.get('/', listUsers);
+router.post('/', createUser);
+router.get('/:id', getUser);
+router.patch('/:id/role', updateUserRole);
+router.patch('/:id/deactivate', deactivateUser);
+router.patch('/:id/reactivate', reactivateUser);
+router.post('/:id/reset-password', resetPassword);
+router.post('/:id/revoke-sessions', revokeSessions);
+
+export default router;
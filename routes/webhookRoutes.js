@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+} from '../controllers/webhookController.js';
+import authenticate from '../middleware/authMiddleware.js';
+import authorize, { PERMISSIONS } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// subscriptions send alert data to arbitrary urls, so the whole surface is admin-only
+router.use(authenticate, authorize(PERMISSIONS.MANAGE_WEBHOOKS));
+
+router.get('/', listWebhooks);
+router.post('/', createWebhook);
+router.get('/:id', getWebhook);
+router.patch('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+export default router;
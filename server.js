@@ -5,30 +5,68 @@ import 'dotenv/config';
 import alertRoutes from './routes/alertRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import rulesRoutes from './routes/rulesRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import incidentRoutes from './routes/incidentRoutes.js';
+import suppressionRoutes from './routes/suppressionRoutes.js';
+import sourceTypeRoutes from './routes/sourceTypeRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import driverRoutes from './routes/driverRoutes.js';
 import { startAutoCloseWorker } from './jobs/autoCloseWorker.js';
+import { startEscalationWorker } from './jobs/escalationWorker.js';
+import { initRulesStore } from './services/rulesStore.js';
+import { startNotifications } from './services/notifier.js';
+import { startWebhooks } from './services/webhooks.js';
+import { startAlertStream } from './services/alertStream.js';
+import { startIncidents } from './services/incidents.js';
+import { startCache } from './services/cache.js';
+import { startBroadcast } from './services/broadcast.js';
+import { startWebhookRetryWorker } from './jobs/webhookRetryWorker.js';
 
 const app = express();
 
 // allow the frontend origin — set CORS_ORIGIN in the render env vars to your vercel url
 app.use(cors());
-app.use(express.json());
+// raised from the 100kb default — a bulk ingest batch of a few hundred alerts easily exceeds it
+app.use(express.json({ limit: '5mb' }));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/rules', rulesRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/source-types', sourceTypeRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/drivers', driverRoutes);
 
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/alert-escalation';
 
 mongoose
   .connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log('connected to mongodb');
+    // seed the rules version history before serving, so the first PUT always has a v1 to roll back to
+    await initRulesStore();
+    // a cache that can't reach redis isn't worth refusing to start over — it falls back to in-process
+    await startCache().catch((err) => console.error('cache setup failed, using in-memory cache:', err.message));
+    // with REDIS_URL set, rule reloads and cache invalidations reach the other instances. without it, or if
+    // redis is down, each process only hears its own — still correct for a single instance
+    await startBroadcast().catch((err) => console.error('redis broadcast setup failed, changes stay in this process:', err.message));
     app.listen(PORT, () => {
       console.log(`server running on port ${PORT}`);
     });
+    // subscribe before the worker's catch-up run so auto-closes from that first pass get routed too
+    startNotifications();
+    startWebhooks();
+    startAlertStream();
+    startIncidents();
+    startWebhookRetryWorker();
     // start after db is ready — the worker queries on startup, so mongoose must be connected first.
     startAutoCloseWorker();
+    startEscalationWorker();
   })
   .catch((err) => {
     console.error('mongodb connection failed:', err);
@@ -1,128 +1,164 @@
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import Alert from '../models/Alert.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// load once at startup — no point re-reading the file on every alert
-const rules = JSON.parse(readFileSync(join(__dirname, '../rules.json'), 'utf-8'));
+import { historyEntry, ACTOR_RULE_ENGINE } from './alertHistory.js';
+import { getRules } from './rulesStore.js';
+import { emitAlertEvent, ALERT_EVENTS } from './alertEvents.js';
+import { canTransition } from './alertStateMachine.js';
+import { enterTier } from './escalationPolicy.js';
+import {
+  ruleMatch,
+  matchToFilter,
+  rulesForAlert,
+  autoClosePredicates,
+  matchesMetadata,
+  severityRank,
+} from './ruleDsl.js';
 
 class RuleEngine {
-  constructor(rules) {
-    this.rules = rules;
+  // read through the store on every access rather than caching a copy — a PUT /api/rules/config
+  // swaps the store's reference and every engine sees the new thresholds on its next evaluate()
+  get rules() {
+    return getRules();
   }
 
   // subclasses own the actual logic, this just makes the contract obvious
   async evaluate(alert) {
     throw new Error(`${this.constructor.name} must implement evaluate()`);
   }
-}
-
-class OverspeedRuleEngine extends RuleEngine {
-  constructor() {
-    super(rules);
-  }
-
-  async evaluate(alert) {
-    // wrong type — nothing for this engine to do
-    if (alert.sourceType !== 'overspeed') return;
-
-    // already escalated, skip — prevents re-escalating the same alert if evaluate
-    // somehow gets called a second time on the same object
-    if (alert.status === 'ESCALATED') return;
-
-    const rule = this.rules['overspeed'];
-
-    // rule got deleted from the json at runtime — gracefully bail
-    if (!rule) return;
 
+  // shared by every count-in-window rule. with group_by set, only alerts for the same entity count —
+  // "repeat offender" means the same driver/vehicle, not three different drivers having a bad hour.
+  // returns null when the rule is grouped but the alert doesn't carry the key: there's no entity to count against
+  async countInWindow(alert, name, rule) {
     // anchor window to the alert's own timestamp so delayed ingestion doesn't skew the count
     const windowStart = new Date(alert.timestamp.getTime() - rule.window_mins * 60 * 1000);
 
-    const count = await Alert.countDocuments({
-      sourceType: 'overspeed',
+    // "alerts like this one" means alerts the same match block would accept, not just the same sourceType
+    const filter = {
+      ...matchToFilter(ruleMatch(name, rule)),
       timestamp: { $gte: windowStart, $lte: alert.timestamp },
-    });
-
-    // count includes the alert we just saved, so >= is the right comparison
-    if (count >= rule.escalate_if_count) {
-      alert.status = 'ESCALATED';
-
-      // save immediately so the escalated state is durable even if the caller crashes after this
-      await alert.save();
+      // alerts from a suppression window never escalate, and they don't help a later one escalate either
+      suppressedBy: null,
+    };
+
+    let entity = null;
+    if (rule.group_by) {
+      const value = alert.metadata?.[rule.group_by];
+      if (value === undefined || value === null || value === '') return null;
+      filter[`metadata.${rule.group_by}`] = value;
+      entity = `${rule.group_by}=${value}`;
     }
-  }
-}
-
-class FeedbackRuleEngine extends RuleEngine {
-  constructor() {
-    super(rules);
-  }
 
-  async evaluate(alert) {
-    if (alert.sourceType !== 'feedback_negative') return;
-
-    // same guard as overspeed — don't double-escalate if this runs twice on the same object
-    if (alert.status === 'ESCALATED') return;
-
-    const rule = this.rules['feedback_negative'];
-    if (!rule) return;
-
-    // 1440 mins is a full day, so we're asking: did this driver/entity rack up
-    // repeated negative feedback within the past 24 hours?
-    const windowStart = new Date(alert.timestamp.getTime() - rule.window_mins * 60 * 1000);
-
-    const count = await Alert.countDocuments({
-      sourceType: 'feedback_negative',
-      timestamp: { $gte: windowStart, $lte: alert.timestamp },
-    });
-
-    if (count >= rule.escalate_if_count) {
-      alert.status = 'ESCALATED';
-      await alert.save();
-    }
+    const count = await Alert.countDocuments(filter);
+    return { count, entity };
   }
 }
 
-class ComplianceRuleEngine extends RuleEngine {
-  constructor() {
-    super(rules);
-  } 
+// "3 overspeed alerts for driverId=DRV-101 within 60 mins (threshold 3)" — the entity is what incident reviews ask about first
+const escalationReason = (name, { count, entity }, rule) =>
+  `${count} ${name} alerts${entity ? ` for ${entity}` : ''} within ${rule.window_mins} mins (threshold ${rule.escalate_if_count})`;
+
+// only ever raises severity — a rule saying "high" must not quietly downgrade something already critical
+const upgradeSeverity = (alert, target) => {
+  if (!target || severityRank(target) <= severityRank(alert.severity)) return false;
+  alert.severity = target;
+  return true;
+};
 
+// interprets rules.json directly, so onboarding a new source type is a config change rather than a new subclass.
+// each matching rule can: raise severity on match, escalate on a count-in-window, and auto-close on a metadata predicate
+class DeclarativeRuleEngine extends RuleEngine {
   async evaluate(alert) {
-    if (alert.sourceType !== 'compliance') return;
+    const statusBefore = alert.status;
+    const historyBefore = alert.history.length;
+    let changed = false;
+    let escalation = null;
+
+    // file order is evaluation order — every matching rule gets a turn, but the first to close or escalate wins
+    for (const [name, rule] of rulesForAlert(this.rules, alert)) {
+      // the transition table decides what's still possible — once nothing the engine does is legal, stop
+      if (!canTransition(alert.status, 'AUTO-CLOSED') && !canTransition(alert.status, 'ESCALATED')) break;
+
+      if (upgradeSeverity(alert, rule.set_severity)) changed = true;
+
+      // metadata-based close at ingest — the rule names the condition, so nothing about "document_valid" is hardcoded
+      const closeWhen = autoClosePredicates(rule);
+      if (closeWhen && canTransition(alert.status, 'AUTO-CLOSED') && matchesMetadata(closeWhen, alert.metadata)) {
+        alert.history.push(historyEntry({
+          from: alert.status,
+          to: 'AUTO-CLOSED',
+          actor: ACTOR_RULE_ENGINE,
+          reason: `auto-closed because metadata matched ${JSON.stringify(closeWhen)}`,
+          rule: name,
+        }));
+        alert.status = 'AUTO-CLOSED';
+        changed = true;
+        break;
+      }
+
+      // ESCALATED -> ESCALATED isn't a legal transition, so an alert evaluated twice is never re-escalated
+      if (!canTransition(alert.status, 'ESCALATED') || !rule.escalate_if_count) continue;
+
+      const result = await this.countInWindow(alert, name, rule);
+      if (!result) continue;
+
+      // count includes the alert we just saved, so >= is the right comparison
+      if (result.count >= rule.escalate_if_count) {
+        const previousSeverity = alert.severity;
+        let reason = escalationReason(name, result, rule);
+        // a tiered rule starts the alert at its first tier and the escalation worker takes it from there
+        if (rule.escalation_tiers) {
+          escalation = enterTier(name, rule.escalation_tiers, 0);
+          reason += `; entered tier ${escalation.tier}`;
+        }
+        // the rule's escalate_severity and the first tier's severity can both raise it — the higher one wins,
+        // and reportedSeverity on the document still says what the source originally sent
+        const raisedRule = upgradeSeverity(alert, rule.escalate_severity);
+        const raisedTier = upgradeSeverity(alert, rule.escalation_tiers?.[0].severity);
+        if (raisedRule || raisedTier) {
+          reason += `; severity raised from ${previousSeverity} to ${alert.severity}`;
+        }
+
+        alert.history.push(historyEntry({ from: alert.status, to: 'ESCALATED', actor: ACTOR_RULE_ENGINE, reason, rule: name }));
+        alert.status = 'ESCALATED';
+        changed = true;
+      }
+    }
 
-    // no point re-closing something that's already been handled
-    if (alert.status === 'AUTO-CLOSED' || alert.status === 'RESOLVED') return;
+    if (!changed) return;
+
+    // guarded write rather than alert.save() — if an operator acknowledged or resolved the alert while the
+    // window count ran, the status we started from is gone and our transition is no longer legal
+    const { matchedCount } = await Alert.updateOne(
+      { _id: alert._id, status: statusBefore },
+      {
+        $set: { status: alert.status, severity: alert.severity, ...(escalation && { escalation }) },
+        $push: { history: { $each: alert.history.slice(historyBefore).map((e) => e.toObject()) } },
+      }
+    );
+
+    if (matchedCount === 0) {
+      // someone else won — adopt their state so the caller doesn't report an escalation that never happened
+      const fresh = await Alert.findById(alert._id).lean();
+      if (fresh) alert.set({ status: fresh.status, severity: fresh.severity, escalation: fresh.escalation, history: fresh.history });
+      console.warn(`rule engine skipped ${alert.alertid}: status moved from ${statusBefore} to ${fresh?.status} during evaluation`);
+      return;
+    }
 
-    const rule = this.rules['compliance'];
-    if (!rule || !rule.auto_close_if) return;
+    if (escalation) alert.set({ escalation });
 
-    // the rule names the metadata key to check, so adding new close conditions is just a rules.json change, not a code change
-    const metaKey = rule.auto_close_if;
-    if (alert.metadata?.[metaKey] === true) {
-      alert.status = 'AUTO-CLOSED';
-      await alert.save();
-    }
+    // announce only after the write — a listener reacting to an escalation that never hit the db would be worse than a late one
+    if (alert.status !== statusBefore && alert.status === 'ESCALATED') emitAlertEvent(ALERT_EVENTS.ESCALATED, alert);
+    if (alert.status !== statusBefore && alert.status === 'AUTO-CLOSED') emitAlertEvent(ALERT_EVENTS.AUTO_CLOSED, alert);
   }
 }
 
-// plain object is enough here — no state, no inheritance, just a lookup and a delegate
+// plain object is enough here — no state, no inheritance, just a delegate
 const registry = {
-  overspeed: new OverspeedRuleEngine(),
-  feedback_negative: new FeedbackRuleEngine(),
-  compliance: new ComplianceRuleEngine(),
+  engine: new DeclarativeRuleEngine(),
 
   async evaluate(alert) {
-    const engine = this[alert.sourceType];
-
-    // the typeof guard stops 'evaluate' from ever being a valid sourceType that recurses into itself
-    if (!engine || typeof engine.evaluate !== 'function') return;
-
-    await engine.evaluate(alert);
+    await this.engine.evaluate(alert);
   },
 };
 
-export { RuleEngine, OverspeedRuleEngine, FeedbackRuleEngine, ComplianceRuleEngine, registry };
+export { RuleEngine, DeclarativeRuleEngine, registry };
@@ -0,0 +1,33 @@
+import { EventEmitter } from 'events';
+
+// lifecycle events other subsystems react to — the writers (controller, rule engine, worker) just emit,
+// they don't need to know who's listening
+export const ALERT_EVENTS = {
+  CREATED: 'alert.created',
+  ESCALATED: 'alert.escalated',
+  TIER_PROMOTED: 'alert.tier_promoted', // still ESCALATED, but moved up a tier after an SLA breach
+  ACKNOWLEDGED: 'alert.acknowledged',
+  ASSIGNED: 'alert.assigned',
+  AUTO_CLOSED: 'alert.auto_closed',
+  RESOLVED: 'alert.resolved',
+  REOPENED: 'alert.reopened',
+};
+
+const bus = new EventEmitter();
+
+// emitted as a plain object so listeners can't accidentally save a mongoose doc the writer still owns
+export const emitAlertEvent = (event, alert) => {
+  bus.emit(event, typeof alert?.toObject === 'function' ? alert.toObject() : alert);
+};
+
+// listeners run off the emitting call stack, and a listener that throws or rejects only logs —
+// a broken notification channel must never fail an ingest or a resolve
+export const onAlertEvent = (event, listener) => {
+  bus.on(event, (alert) => {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => listener(alert, event))
+        .catch((err) => console.error(`alert event listener failed for ${event}:`, err));
+    });
+  });
+};
@@ -0,0 +1,62 @@
+// export rows for GET /api/alerts/export — one flat record per alert, shared by the csv and ndjson formats
+// so a column means the same thing whichever one a report asks for
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// a sanity cap on ?metadata= — past this a report wants the raw documents, not a spreadsheet
+export const MAX_METADATA_COLUMNS = 50;
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+// fixed columns, in output order — history is left out, it's what /:id/history is for
+const BASE_COLUMNS = [
+  ['id', (a) => String(a._id)],
+  ['alertid', (a) => a.alertid],
+  ['sourceType', (a) => a.sourceType],
+  ['severity', (a) => a.severity],
+  ['reportedSeverity', (a) => a.reportedSeverity ?? null],
+  ['sourceSeverity', (a) => a.sourceSeverity ?? null],
+  ['status', (a) => a.status],
+  ['timestamp', (a) => iso(a.timestamp)],
+  ['assignedTo', (a) => a.assignedTo ?? null],
+  ['acknowledgedBy', (a) => a.acknowledgedBy ?? null],
+  ['acknowledgedAt', (a) => iso(a.acknowledgedAt)],
+  ['escalationTier', (a) => a.escalation?.tier ?? null],
+  ['incident', (a) => (a.incident ? String(a.incident) : null)],
+  ['suppressed', (a) => Boolean(a.suppressedBy)],
+];
+
+// ?metadata=driverId,vehicleId → metadata.driverId and metadata.vehicleId columns after the fixed ones.
+// returns { error } or { columns }
+export const exportColumns = (metadataKeys) => {
+  if (metadataKeys.length > MAX_METADATA_COLUMNS) {
+    return { error: `at most ${MAX_METADATA_COLUMNS} metadata columns can be exported` };
+  }
+  // same rule as the meta.<key> filter — a plain key, no operators or nested paths
+  const bad = metadataKeys.find((key) => !/^\w+$/.test(key));
+  if (bad) return { error: `invalid metadata column ${bad}` };
+
+  const metadataColumns = [...new Set(metadataKeys)].map((key) => [`metadata.${key}`, (a) => a.metadata?.[key] ?? null]);
+  return { columns: [...BASE_COLUMNS, ...metadataColumns] };
+};
+
+export const toRow = (alert, columns) => Object.fromEntries(columns.map(([name, value]) => [name, value(alert)]));
+
+// rfc 4180 quoting, plus a leading ' on anything a spreadsheet would run as a formula —
+// metadata comes from upstream systems, and these files get opened straight in excel
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+export const csvHeader = (columns) => csvLine(columns.map(([name]) => name));
+
+export const formatRow = (format, row) =>
+  format === 'csv' ? csvLine(Object.values(row)) : `${JSON.stringify(row)}\n`;
@@ -0,0 +1,38 @@
+import { INITIAL_STATUS } from './alertStateMachine.js';
+
+// system actors — anything that isn't a human operator changing an alert's state
+export const ACTOR_RULE_ENGINE = 'rule-engine';
+export const ACTOR_AUTO_CLOSE = 'auto-close-worker';
+export const ACTOR_ESCALATION = 'escalation-worker';
+export const ACTOR_SYSTEM = 'system';
+
+// every writer builds its audit entry through here so the shape stays identical across
+// the controller, the rule engine and the worker
+export const historyEntry = ({ from = null, to, actor, reason = '', rule = null }) => ({
+  from,
+  status: to,
+  at: new Date(),
+  actor,
+  reason,
+  rule,
+});
+
+// alerts stored before the audit log existed have no ingest entry — an empty history, or one that starts
+// mid-way at their first later transition. rather than show an empty timeline, the history endpoint puts a
+// creation entry in front, clearly marked: the time is when the document was inserted (read off its
+// ObjectId, since alerts carry no createdAt) and the status is the one every alert starts in
+export const withCreationEntry = (alert) => {
+  const history = alert.history ?? [];
+  if (history.length > 0 && history[0].from === null) return { history, legacy: false };
+
+  const created = {
+    from: null,
+    status: INITIAL_STATUS,
+    at: alert._id.getTimestamp(),
+    actor: ACTOR_SYSTEM,
+    reason: 'stored before the audit log — reconstructed from when the alert was saved',
+    rule: null,
+    synthesized: true,
+  };
+  return { history: [created, ...history], legacy: true };
+};
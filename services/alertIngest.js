@@ -0,0 +1,121 @@
+import Alert from '../models/Alert.js';
+import { registry } from './RuleEngine.js';
+import { historyEntry } from './alertHistory.js';
+import { emitAlertEvent, ALERT_EVENTS } from './alertEvents.js';
+import { INITIAL_STATUS } from './alertStateMachine.js';
+import { correlateAlert } from './incidents.js';
+import { applySuppression } from './suppression.js';
+import { sourceSchemaErrors, normalizeSeverity } from './sourceSchemas.js';
+import { SEVERITY_ORDER } from './ruleDsl.js';
+
+// the one place that decides whether a payload is an ingestible alert — single and bulk ingest both go
+// through here, so a batch item is accepted or rejected for exactly the same reasons as a lone POST.
+// returns { error, details? } or { doc } with the timestamp already parsed. details is the field-level
+// list of { path, message }, so a source can see every problem with its payload at once
+export const validateAlertInput = (input) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'alert must be a json object' };
+  }
+
+  const { alertid, sourceType, severity, timestamp, status, metadata } = input;
+
+  // explicit rather than a falsy check — a numeric severity of 0 is a real level for some sources
+  const missing = Object.entries({ alertid, sourceType, severity, timestamp })
+    .filter(([, v]) => v === undefined || v === null || v === '');
+  if (missing.length) {
+    return { error: 'missing required fields', details: missing.map(([path]) => ({ path, message: 'is required' })) };
+  }
+
+  const ts = new Date(timestamp);
+  if (isNaN(ts.getTime())) {
+    // an unparseable timestamp would silently become null in mongoose, catch it early
+    return { error: 'invalid timestamp format' };
+  }
+
+  // status is the server's to decide — an alert ingested as RESOLVED would skip the rule engine entirely.
+  // an explicit OPEN is tolerated since some upstream sources always send it
+  if (status !== undefined && status !== INITIAL_STATUS) {
+    return { error: `status cannot be set on ingest, alerts always start as ${INITIAL_STATUS}` };
+  }
+
+  // one scale for everything downstream — "HIGH", "warn" and 2 would otherwise be three separate buckets
+  const canonical = normalizeSeverity(sourceType, severity);
+  if (!canonical) {
+    return {
+      error: 'unknown severity',
+      details: [{ path: 'severity', message: `cannot map ${JSON.stringify(severity)} to one of ${SEVERITY_ORDER.join(', ')}` }],
+    };
+  }
+
+  // checked here rather than after save, so a malformed payload never reaches the rule engine
+  const details = sourceSchemaErrors({ sourceType, severity: canonical, metadata });
+  if (details.length) return { error: `alert does not match the ${sourceType} schema`, details };
+
+  return {
+    doc: {
+      alertid: String(alertid),
+      sourceType,
+      severity: canonical,
+      reportedSeverity: canonical,
+      sourceSeverity: String(severity),
+      timestamp: ts,
+      status: INITIAL_STATUS,
+      metadata,
+    },
+  };
+};
+
+// an api key restricted to some source types may only send those. returns the refusal message, or null
+export const ingestRefusal = (user, doc) => {
+  if (!user?.sourceTypes?.length || user.sourceTypes.includes(doc.sourceType)) return null;
+  return `this api key may not ingest ${doc.sourceType} alerts`;
+};
+
+// unsaved alert with its first audit entry — ingest time, not the alert's own timestamp, since that's when we learned about it.
+// user is the authenticated caller; an api key is recorded on the alert as well as in the history actor
+export const buildAlert = (doc, user) => {
+  const alert = new Alert({ ...doc, apiKey: user.apiKeyId ?? null });
+  alert.history.push(historyEntry({ to: alert.status, actor: user.email, reason: 'ingested' }));
+  return alert;
+};
+
+// everything that happens once alerts are durably saved. oldest first, so each alert's window count
+// sees exactly the alerts that preceded it — the same result as if they'd arrived one at a time
+export const processIngested = async (alerts) => {
+  const ordered = [...alerts].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const alert of ordered) {
+    let suppressed = false;
+    try {
+      suppressed = await applySuppression(alert);
+    } catch (suppressionErr) {
+      // failing open — an alert we couldn't check gets the normal treatment rather than being silently muted
+      console.error('suppression check error for alert', alert.alertid, suppressionErr);
+    }
+
+    if (!suppressed) {
+      try {
+        // before anything is announced, so every lifecycle event already carries the incident id
+        await correlateAlert(alert);
+      } catch (correlationErr) {
+        // an uncorrelated alert is still a valid alert — same reasoning as the engine failure below
+        console.error('incident correlation error for alert', alert.alertid, correlationErr);
+      }
+    }
+
+    // emitted before the engine runs so subscribers always see created ahead of escalated/auto-closed.
+    // suppressed alerts are announced too — the dashboard and webhooks keep the record, the notifier skips them
+    emitAlertEvent(ALERT_EVENTS.CREATED, alert);
+
+    // a known outage or a vehicle in the workshop — nothing the engine could conclude would be actionable
+    if (suppressed) continue;
+
+    try {
+      // registry interprets rules.json — callers don't need to know which rules apply
+      await registry.evaluate(alert);
+    } catch (engineErr) {
+      // engine failure shouldn't undo a successful ingest — log and move on
+      console.error('rule engine error for alert', alert.alertid, engineErr);
+    }
+  }
+};
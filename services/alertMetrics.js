@@ -0,0 +1,154 @@
+import Alert from '../models/Alert.js';
+
+// backlog age buckets — lower bounds in hours, the last one open-ended
+export const BACKLOG_BUCKETS = [
+  { label: '<1h', minHours: 0 },
+  { label: '1-4h', minHours: 1 },
+  { label: '4-24h', minHours: 4 },
+  { label: '1-3d', minHours: 24 },
+  { label: '>3d', minHours: 72 },
+];
+
+// the "someone's on it" moment is an ACKNOWLEDGED entry — being assigned an alert isn't picking it up, the same
+// line escalationPolicy's SLA_STATUSES draws, so time-to-acknowledge and the tier SLAs measure the same wait
+const ACKNOWLEDGED_STATUSES = ['ACKNOWLEDGED'];
+const BACKLOG_STATUSES = ['OPEN', 'ESCALATED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// the `at` of every history entry moving into one of statuses
+export const transitionTimes = (statuses) => ({
+  $map: {
+    input: { $filter: { input: { $ifNull: ['$history', []] }, cond: { $in: ['$$this.status', statuses] } } },
+    in: '$$this.at',
+  },
+});
+
+// whether the alert ever reached ESCALATED, whatever happened to it since — an acknowledged escalation still
+// escalated. shared with the trends chart and driver risk so "escalated" means the same thing everywhere
+export const EVER_ESCALATED = { $gt: [{ $size: transitionTimes(['ESCALATED']) }, 0] };
+
+// nearest-rank percentile over an ascending list
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+
+// { count, mean, median, p90 } in seconds, or nulls when nothing in the period got that far
+const durationStats = (durationsMs) => {
+  if (durationsMs.length === 0) return { count: 0, mean: null, median: null, p90: null };
+  const sorted = [...durationsMs].sort((a, b) => a - b);
+  const toSeconds = (ms) => Math.round(ms / 1000);
+  return {
+    count: sorted.length,
+    mean: toSeconds(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    median: toSeconds(percentile(sorted, 50)),
+    p90: toSeconds(percentile(sorted, 90)),
+  };
+};
+
+// operational kpis for alerts raised in [from, to). durations come from the history timeline — ingest entry
+// to first acknowledgement, ingest entry to final resolution — so they say what actually happened, however late
+// they're read. suppressed alerts are left out everywhere: they were muted on purpose and nobody was meant to act.
+// the backlog is the one exception to the period: it's what's waiting right now, aged from ingest to now
+export const computeMetrics = async (from, to, now = new Date()) => {
+  const [[facets], backlogRows] = await Promise.all([
+    Alert.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to }, suppressedBy: null } },
+      {
+        $project: {
+          sourceType: 1,
+          status: 1,
+          // the first history entry is the ingest one — older alerts without a history have no timeline to measure
+          ingestedAt: { $first: '$history.at' },
+          acknowledgedAt: { $min: transitionTimes(ACKNOWLEDGED_STATUSES) },
+          // the last resolution, and only if it stuck — a reopened alert isn't resolved yet
+          resolvedAt: {
+            $cond: [{ $eq: ['$status', 'RESOLVED'] }, { $max: transitionTimes(['RESOLVED']) }, null],
+          },
+          everEscalated: EVER_ESCALATED,
+        },
+      },
+      {
+        $facet: {
+          tta: [
+            // an alert resolved without anyone acknowledging it has no acknowledgement to time
+            { $match: { ingestedAt: { $ne: null }, acknowledgedAt: { $ne: null } } },
+            { $project: { _id: 0, ms: { $subtract: ['$acknowledgedAt', '$ingestedAt'] } } },
+          ],
+          ttr: [
+            { $match: { ingestedAt: { $ne: null }, resolvedAt: { $ne: null } } },
+            { $project: { _id: 0, ms: { $subtract: ['$resolvedAt', '$ingestedAt'] } } },
+          ],
+          bySourceType: [
+            {
+              $group: {
+                _id: '$sourceType',
+                total: { $sum: 1 },
+                escalated: { $sum: { $cond: ['$everEscalated', 1, 0] } },
+              },
+            },
+            { $sort: { total: -1 } },
+          ],
+          closures: [
+            { $match: { status: { $in: ['AUTO-CLOSED', 'RESOLVED'] } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]),
+
+    Alert.aggregate([
+      { $match: { status: { $in: BACKLOG_STATUSES }, suppressedBy: null } },
+      {
+        $project: {
+          status: 1,
+          ageHours: {
+            $divide: [{ $subtract: [now, { $ifNull: [{ $first: '$history.at' }, '$timestamp'] }] }, HOUR_MS],
+          },
+        },
+      },
+      {
+        $bucket: {
+          groupBy: '$ageHours',
+          boundaries: [...BACKLOG_BUCKETS.map((b) => b.minHours), Infinity],
+          default: '<1h', // clock skew can make a brand-new alert look slightly negative in age
+          output: {
+            OPEN: { $sum: { $cond: [{ $eq: ['$status', 'OPEN'] }, 1, 0] } },
+            ESCALATED: { $sum: { $cond: [{ $eq: ['$status', 'ESCALATED'] }, 1, 0] } },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const closures = Object.fromEntries(facets.closures.map((c) => [c._id, c.count]));
+  const autoClosed = closures['AUTO-CLOSED'] ?? 0;
+  const resolved = closures.RESOLVED ?? 0;
+  const total = facets.bySourceType.reduce((n, s) => n + s.total, 0);
+
+  // $bucket keys rows by lower boundary (or the default) — map them back to labels, zero-filling the empty ones
+  const backlog = BACKLOG_BUCKETS.map(({ label }) => ({ age: label, OPEN: 0, ESCALATED: 0 }));
+  for (const row of backlogRows) {
+    const bucket = row._id === '<1h' ? backlog[0] : backlog[BACKLOG_BUCKETS.findIndex((b) => b.minHours === row._id)];
+    bucket.OPEN += row.OPEN;
+    bucket.ESCALATED += row.ESCALATED;
+  }
+
+  return {
+    period: { from, to },
+    total,
+    timeToAcknowledge: durationStats(facets.tta.map((d) => d.ms)),
+    timeToResolve: durationStats(facets.ttr.map((d) => d.ms)),
+    escalationRate: facets.bySourceType.map((s) => ({
+      sourceType: s._id,
+      total: s.total,
+      escalated: s.escalated,
+      rate: s.total ? s.escalated / s.total : 0,
+    })),
+    // of the alerts that got closed, how many closed themselves versus needed a person
+    autoClose: {
+      autoClosed,
+      resolved,
+      ratio: autoClosed + resolved ? autoClosed / (autoClosed + resolved) : null,
+    },
+    backlog,
+  };
+};
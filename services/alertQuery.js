@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+// getAlerts and anything else that lists alerts (exports, etc.) build their filter here,
+// so "the same filters" always means literally the same code
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// shortcuts for the metadata keys operators filter on most — anything else goes through meta.<key>=value
+const METADATA_SHORTCUTS = ['driverId', 'vehicleId'];
+
+// accepts ?status=OPEN,ESCALATED as well as ?status=OPEN&status=ESCALATED
+export const listParam = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+};
+
+const inOrEq = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+// user text goes into a regex, so escape it — otherwise "ALT.*" or an unbalanced "(" would change the query
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// cursor = the sort key of the last row on the previous page, base64url so clients treat it as opaque
+export const encodeCursor = (alert) =>
+  Buffer.from(JSON.stringify({ t: alert.timestamp.toISOString(), id: String(alert._id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    const timestamp = parseDate(t);
+    if (!timestamp || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// returns { error } or { filter, limit } — the filter already includes the cursor condition.
+// user is the caller's decoded token, needed for ?mine=true
+export const buildAlertQuery = (query, user) => {
+  const filter = {};
+
+  // the members of one incident
+  if (query.incident !== undefined) {
+    if (!mongoose.isValidObjectId(query.incident)) return { error: 'invalid incident id' };
+    filter.incident = query.incident;
+  }
+
+  // "my alerts" — whatever the caller owns, whether they acknowledged it or were assigned it
+  if (query.mine === 'true') {
+    filter.assignedTo = user?.email ?? null;
+  } else if (typeof query.assignedTo === 'string' && query.assignedTo) {
+    filter.assignedTo = query.assignedTo.toLowerCase().trim();
+  }
+
+  const statuses = listParam(query.status);
+  if (statuses.length) filter.status = inOrEq(statuses);
+
+  const severities = listParam(query.severity);
+  if (severities.length) filter.severity = inOrEq(severities);
+
+  const sourceTypes = listParam(query.sourceType);
+  if (sourceTypes.length) filter.sourceType = inOrEq(sourceTypes);
+
+  if (query.since !== undefined || query.until !== undefined) {
+    filter.timestamp = {};
+    if (query.since !== undefined) {
+      const since = parseDate(query.since);
+      if (!since) return { error: 'invalid since date' };
+      filter.timestamp.$gte = since;
+    }
+    if (query.until !== undefined) {
+      const until = parseDate(query.until);
+      if (!until) return { error: 'invalid until date' };
+      filter.timestamp.$lte = until;
+    }
+  }
+
+  for (const key of METADATA_SHORTCUTS) {
+    const values = listParam(query[key]);
+    if (values.length) filter[`metadata.${key}`] = inOrEq(values);
+  }
+  for (const [param, value] of Object.entries(query)) {
+    if (!param.startsWith('meta.')) continue;
+    const key = param.slice('meta.'.length);
+    // a key with $ or a further dot would let the caller reach into operators or nested paths
+    if (!/^\w+$/.test(key)) return { error: `invalid metadata filter ${param}` };
+    const values = listParam(value);
+    if (values.length) filter[`metadata.${key}`] = inOrEq(values);
+  }
+
+  // suppressed alerts are listed by default, same as everything else ingested — this narrows either way
+  if (query.suppressed === 'true') filter.suppressedBy = { $ne: null };
+  else if (query.suppressed === 'false') filter.suppressedBy = null;
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    filter.alertid = { $regex: escapeRegex(query.q.trim()), $options: 'i' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'invalid cursor' };
+    // strictly after the last row in (timestamp desc, _id desc) order — _id breaks ties between
+    // alerts sharing a timestamp so no row is skipped or repeated across pages
+    filter.$or = [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { $lt: cursor.id } },
+    ];
+    // the cursor condition must combine with any since/until range rather than replace it
+    if (filter.timestamp) {
+      filter.$and = [{ timestamp: filter.timestamp }, { $or: filter.$or }];
+      delete filter.timestamp;
+      delete filter.$or;
+    }
+  }
+
+  return { filter, limit: Math.min(limit, MAX_PAGE_SIZE) };
+};
+
+// newest first, with _id as the tiebreaker the cursor relies on
+export const ALERT_SORT = { timestamp: -1, _id: -1 };
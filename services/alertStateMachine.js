@@ -0,0 +1,20 @@
+// the single source of truth for which status changes are legal. the controller, the rule engine and
+// the auto-close worker all ask here instead of keeping their own "skip if already X" guards
+
+export const INITIAL_STATUS = 'OPEN';
+
+// from -> allowed next states. closed states only lead back to OPEN, via an explicit reopen
+export const TRANSITIONS = {
+  OPEN: ['ESCALATED', 'ACKNOWLEDGED', 'ASSIGNED', 'AUTO-CLOSED', 'RESOLVED'],
+  ESCALATED: ['ACKNOWLEDGED', 'ASSIGNED', 'AUTO-CLOSED', 'RESOLVED'],
+  // someone is working it — the worker doesn't close it out from under them, and the engine doesn't re-escalate it
+  ACKNOWLEDGED: ['ASSIGNED', 'RESOLVED'],
+  ASSIGNED: ['ACKNOWLEDGED', 'ASSIGNED', 'RESOLVED'], // ASSIGNED -> ASSIGNED is a reassign
+  'AUTO-CLOSED': ['OPEN'],
+  RESOLVED: ['OPEN'],
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] ?? []).includes(to);
+
+// every state that may legally move to `to` — lets atomic updates filter on "still in a state that allows this"
+export const statesAllowing = (to) => Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
@@ -0,0 +1,46 @@
+import { ALERT_EVENTS, onAlertEvent } from './alertEvents.js';
+import { broadcast, onBroadcast } from './broadcast.js';
+
+// open sse responses — one per connected dashboard tab, on this process only
+const clients = new Set();
+
+// lifecycle events fire in whichever process made the change, and a tab's stream lives on whichever one it
+// connected to. with REDIS_URL set every event is relayed to the other processes too; without it, a stream
+// only hears about changes made by its own process — fine for a single instance, wrong behind a load balancer
+const STREAM_CHANNEL = 'mis:alerts:stream';
+
+// proxies (render's included) drop idle connections after ~60s, so a comment line keeps the stream warm
+const HEARTBEAT_MS = 25 * 1000;
+
+// history is dropped from the pushed payload — the table rows don't need it, and the drill-down fetches it fresh
+const toStreamPayload = (alert) => {
+  const { history, ...rest } = alert;
+  return rest;
+};
+
+const writeToClients = (event, payload) => {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of clients) res.write(frame);
+};
+
+onBroadcast(STREAM_CHANNEL, ({ event, alert }) => writeToClients(event, alert));
+
+export const addStreamClient = (res) => {
+  clients.add(res);
+  res.on('close', () => clients.delete(res));
+};
+
+export const startAlertStream = () => {
+  Object.values(ALERT_EVENTS).forEach((event) =>
+    onAlertEvent(event, (alert) => {
+      const payload = toStreamPayload(alert);
+      writeToClients(event, payload);
+      broadcast(STREAM_CHANNEL, { event, alert: payload });
+    })
+  );
+
+  // unref so the heartbeat alone never keeps the process alive
+  setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, HEARTBEAT_MS).unref();
+};
@@ -0,0 +1,37 @@
+import { randomBytes, createHash } from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+// every key starts with this, so the auth middleware can tell a key from a jwt without trying both
+export const API_KEY_PREFIX = 'mis_';
+
+// lastUsedAt is for "is this key still in use", not an audit log — one write a minute per key is plenty
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// returns the plaintext key and what to store — the plaintext only ever goes back to the admin once
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+};
+
+// the identity a valid key authenticates as, shaped like a decoded jwt so authorize() and the
+// controllers don't care which kind of credential they got. null when the key is unknown or revoked
+export const resolveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).lean();
+  if (!apiKey) return null;
+
+  const now = new Date();
+  // fire and forget, and only when the stored value is stale — a failed timestamp write must not fail ingest
+  ApiKey.updateOne(
+    { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now - LAST_USED_RESOLUTION_MS) } }] },
+    { $set: { lastUsedAt: now } }
+  ).catch((err) => console.error(`failed to record use of api key ${apiKey.prefix}:`, err));
+
+  return {
+    role: 'service',
+    email: `apikey:${apiKey.name}`,
+    apiKeyId: apiKey._id,
+    sourceTypes: apiKey.sourceTypes,
+  };
+};
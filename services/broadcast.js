@@ -0,0 +1,58 @@
+import { randomUUID } from 'crypto';
+
+// messages between processes over redis pub/sub — cache invalidations, rule reloads and live stream events.
+// without REDIS_URL every call here is a no-op, which is right for a single process: there's nobody else to tell
+const REDIS_URL = process.env.REDIS_URL;
+// tells this process's own broadcasts apart from everyone else's when they come back on the channel
+const INSTANCE_ID = randomUUID();
+
+const handlers = new Map(); // channel -> handler
+let publisher = null;
+
+// ioredis is only loaded when something asks for redis, so a single-process deploy doesn't need a server.
+// commands fail fast instead of queueing while redis is down — an outage should look like a miss, not a hang.
+// resolves once the connection is ready; ioredis reconnects by itself after that
+export const connectRedis = async () => {
+  const { Redis } = await import('ioredis');
+  const client = new Redis(REDIS_URL, { lazyConnect: true, enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  client.on('error', (err) => console.error('redis connection error:', err.message));
+  await client.connect();
+  return client;
+};
+
+// handlers are registered at module load and subscribed in startBroadcast. only messages from other
+// processes reach them — the sender has already applied the change itself
+export const onBroadcast = (channel, handler) => {
+  handlers.set(channel, handler);
+};
+
+// fire and forget — a lost message leaves another process stale until its own TTLs or restart, which is
+// no reason to fail the write that triggered it
+export const broadcast = (channel, payload) => {
+  if (!publisher) return;
+  publisher
+    .publish(channel, JSON.stringify({ origin: INSTANCE_ID, payload }))
+    .catch((err) => console.error(`broadcast on ${channel} failed:`, err.message));
+};
+
+// resolves to whether broadcasts are live. until it has (or if it fails) every broadcast is dropped
+export const startBroadcast = async () => {
+  if (!REDIS_URL) return false;
+
+  // a connection in subscribe mode can't run other commands, hence two
+  publisher = await connectRedis();
+  const subscriber = await connectRedis();
+  subscriber.on('message', (channel, message) => {
+    const handler = handlers.get(channel);
+    if (!handler) return;
+    try {
+      const { origin, payload } = JSON.parse(message);
+      if (origin === INSTANCE_ID) return;
+      Promise.resolve(handler(payload)).catch((err) => console.error(`broadcast handler for ${channel} failed:`, err));
+    } catch (err) {
+      console.error(`bad broadcast message on ${channel}:`, err.message);
+    }
+  });
+  if (handlers.size > 0) await subscriber.subscribe(...handlers.keys());
+  return true;
+};
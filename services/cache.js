@@ -1,16 +1,90 @@
-const store = new Map();
-
-export function get(key) {
-  const entry = store.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expiresAt) { store.delete(key); return null; }
-  return entry.value;
-}
-
-export function set(key, value, ttlSeconds = 60) {
-  store.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
-}
-
-export function invalidate(keys) {
-  (Array.isArray(keys) ? keys : [keys]).forEach((k) => store.delete(k));
-}
+import { createMemoryCache, createRedisCache } from './cacheBackends.js';
+import { connectRedis, broadcast, onBroadcast } from './broadcast.js';
+
+// shared namespaces — every writer that changes alert counts invalidates through these, so the strings can't drift
+export const CACHE_SUMMARY = 'summary';
+export const CACHE_TRENDS = 'trends';
+export const CACHE_METRICS = 'metrics';
+// everything computed from alert statuses — what a new alert or a status change makes stale. metrics included:
+// an acknowledge or resolve moves mtta/mttr, and a dashboard that just did one shouldn't show the old number
+export const ALERT_CACHES = [CACHE_SUMMARY, CACHE_TRENDS, CACHE_METRICS];
+
+// CACHE_BACKEND=memory (default) keeps a per-process lru. CACHE_BACKEND=redis shares one cache between
+// every process pointed at REDIS_URL. with the memory backend, setting REDIS_URL still helps: invalidations
+// are published there so the other processes drop their copies too
+const BACKEND = process.env.CACHE_BACKEND ?? 'memory';
+const REDIS_URL = process.env.REDIS_URL;
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES ?? 500);
+const SWEEP_MS = 60 * 1000;
+
+const INVALIDATION_CHANNEL = 'mis:cache:invalidate';
+
+let backend = createMemoryCache({ maxEntries: MAX_ENTRIES });
+// true once the redis backend is in — every process then reads the same keys, and there's nothing to broadcast
+let shared = false;
+
+// another process's writes made its counts stale, and so ours. a no-op on the shared backend, which
+// the sender has already cleared
+onBroadcast(INVALIDATION_CHANNEL, ({ namespaces }) => {
+  if (!shared) return backend.deleteNamespaces(namespaces);
+});
+
+// a missing summary is a slower response, never a failed one — so no cache error reaches a caller
+export const get = async (key) => {
+  try {
+    return await backend.get(key);
+  } catch (err) {
+    console.error(`cache get ${key} failed:`, err.message);
+    return null;
+  }
+};
+
+export const set = async (key, value, ttlSeconds = 60) => {
+  try {
+    await backend.set(key, value, ttlSeconds);
+  } catch (err) {
+    console.error(`cache set ${key} failed:`, err.message);
+  }
+};
+
+// drops every scoped key under the given namespaces, here and — through the broadcast — in every other process
+export const invalidate = async (namespaces) => {
+  const list = [].concat(namespaces);
+  try {
+    await backend.deleteNamespaces(list);
+  } catch (err) {
+    console.error(`cache invalidate ${list.join(', ')} failed:`, err.message);
+  }
+  if (!shared) broadcast(INVALIDATION_CHANNEL, { namespaces: list });
+};
+
+// the same params in any order, and without the ones that weren't sent, land on the same key —
+// so "?to=x&from=y" and "?from=y&to=x" share an entry but different ranges never do
+export const cacheKey = (namespace, params = {}) => {
+  const scope = Object.keys(params)
+    .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== '')
+    .sort()
+    .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(params[k])}`)
+    .join('&');
+  return scope ? `${namespace}:${scope}` : namespace;
+};
+
+// until this resolves (or if it fails) the in-memory backend is in use, so the api works either way
+export const startCache = async () => {
+  if (!['memory', 'redis'].includes(BACKEND)) {
+    throw new Error(`unknown CACHE_BACKEND ${BACKEND}, expected memory or redis`);
+  }
+  if (BACKEND === 'redis' && !REDIS_URL) throw new Error('CACHE_BACKEND=redis needs REDIS_URL');
+
+  if (BACKEND === 'redis') {
+    backend = createRedisCache(await connectRedis());
+    shared = true;
+    console.log('cache: redis');
+    return;
+  }
+
+  // unref so the sweep alone never keeps the process alive
+  setInterval(() => backend.sweep(), SWEEP_MS).unref();
+  // with REDIS_URL set, invalidations go out through services/broadcast.js once startBroadcast has run
+  console.log(`cache: in-memory, invalidations ${REDIS_URL ? 'broadcast over redis' : 'stay in this process'}`);
+};
@@ -0,0 +1,83 @@
+// cache backends — each one is { get, set, deleteNamespaces, sweep } with promise-returning methods, so
+// services/cache.js can swap them without its callers noticing. keys look like "<namespace>" or
+// "<namespace>:<scope>", and invalidation works a namespace at a time
+
+export const namespaceOf = (key) => key.split(':')[0];
+
+// per-process lru on top of a Map — insertion order doubles as recency, so a hit is re-inserted at the end
+// and the oldest entry is always the first one. bounded, so a spread of scoped keys can't grow it forever
+export const createMemoryCache = ({ maxEntries = 500 } = {}) => {
+  const store = new Map();
+
+  return {
+    async get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiresAt) {
+        store.delete(key);
+        return null;
+      }
+      store.delete(key);
+      store.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      store.delete(key);
+      store.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (store.size > maxEntries) store.delete(store.keys().next().value);
+    },
+
+    // synchronous underneath — a local invalidation is done by the time the caller's next line runs
+    async deleteNamespaces(namespaces) {
+      for (const key of store.keys()) {
+        if (namespaces.includes(namespaceOf(key))) store.delete(key);
+      }
+    },
+
+    // expired entries nobody reads again would otherwise sit there until the lru pushes them out
+    sweep() {
+      const now = Date.now();
+      for (const [key, entry] of store) {
+        if (now > entry.expiresAt) store.delete(key);
+      }
+    },
+  };
+};
+
+// shared by every process pointed at the same redis (or anything that speaks its protocol), so an
+// invalidation in one is seen by all. each namespace keeps a set of its live keys, because deleting
+// "every summary key" by pattern would mean a SCAN over the whole keyspace
+export const createRedisCache = (client, { prefix = 'mis:cache:' } = {}) => {
+  const indexKey = (namespace) => `${prefix}${namespace}:__keys`;
+
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    // the index gets the same ttl as the key it just took, so it outlives every key in it — entries in one
+    // namespace are always cached with the same ttl
+    async set(key, value, ttlSeconds) {
+      const index = indexKey(namespaceOf(key));
+      await client
+        .multi()
+        .set(prefix + key, JSON.stringify(value), 'EX', ttlSeconds)
+        .sadd(index, prefix + key)
+        .expire(index, ttlSeconds)
+        .exec();
+    },
+
+    async deleteNamespaces(namespaces) {
+      for (const namespace of namespaces) {
+        const index = indexKey(namespace);
+        const keys = await client.smembers(index);
+        await client.del(...keys, index);
+      }
+    },
+
+    // redis expires keys itself
+    sweep() {},
+  };
+};
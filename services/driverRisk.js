@@ -0,0 +1,154 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Alert from '../models/Alert.js';
+import { SEVERITY_ORDER } from './ruleDsl.js';
+import { EVER_ESCALATED } from './alertMetrics.js';
+import { bucketStartExpr } from './timeBuckets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// how a driver's alerts add up to a risk score. read once at startup like sourceTypes.json — changing the
+// weights re-ranks every driver, which is a decision to review and deploy, not to flip at runtime
+const config = JSON.parse(readFileSync(join(__dirname, '../riskScoring.json'), 'utf-8'));
+
+const isWeight = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+// a bad weight would silently skew every score, so refuse to start instead
+for (const [severity, weight] of Object.entries(config.severity_weights ?? {})) {
+  if (!SEVERITY_ORDER.includes(severity)) throw new Error(`riskScoring.json: unknown severity ${severity}`);
+  if (!isWeight(weight)) throw new Error(`riskScoring.json: severity_weights.${severity} must be a number >= 0`);
+}
+for (const [sourceType, weight] of Object.entries(config.source_type_weights ?? {})) {
+  if (!isWeight(weight)) throw new Error(`riskScoring.json: source_type_weights.${sourceType} must be a number >= 0`);
+}
+if (!isWeight(config.escalation_weight ?? 0)) throw new Error('riskScoring.json: escalation_weight must be a number >= 0');
+if (!(config.half_life_days > 0)) throw new Error('riskScoring.json: half_life_days must be a positive number');
+
+const SEVERITY_WEIGHTS = config.severity_weights ?? {};
+const SOURCE_TYPE_WEIGHTS = config.source_type_weights ?? {};
+const ESCALATION_WEIGHT = config.escalation_weight ?? 0;
+const HALF_LIFE_MS = config.half_life_days * 24 * 60 * 60 * 1000;
+
+export const DRIVER_FIELD = 'metadata.driverId';
+
+// a lookup table as a $switch — unknown keys weigh fallback
+const weightOf = (field, weights, fallback) => ({
+  $switch: {
+    branches: Object.entries(weights).map(([key, weight]) => ({ case: { $eq: [field, key] }, then: weight })),
+    default: fallback,
+  },
+});
+
+// one alert's contribution to its driver's score:
+//   (severity weight × source type weight + escalation weight if it ever escalated) × 0.5^(age / half-life)
+// so a critical alert from this morning outweighs a pile of low ones from last month. age is measured
+// against `now`, which makes scores drift down as time passes even when nothing new happens
+const riskContribution = (now) => ({
+  $multiply: [
+    {
+      $add: [
+        { $multiply: [weightOf('$severity', SEVERITY_WEIGHTS, 1), weightOf('$sourceType', SOURCE_TYPE_WEIGHTS, 1)] },
+        { $cond: [EVER_ESCALATED, ESCALATION_WEIGHT, 0] },
+      ],
+    },
+    { $pow: [0.5, { $divide: [{ $max: [{ $subtract: [now, '$timestamp'] }, 0] }, HALF_LIFE_MS] }] },
+  ],
+});
+
+// two decimals is plenty to rank on and keeps the payload readable
+const round = (n) => Math.round(n * 100) / 100;
+
+export const riskScoringConfig = () => ({
+  severity_weights: SEVERITY_WEIGHTS,
+  source_type_weights: SOURCE_TYPE_WEIGHTS,
+  escalation_weight: ESCALATION_WEIGHT,
+  half_life_days: config.half_life_days,
+});
+
+// the riskiest drivers with alerts in [from, to), highest score first
+export const driverLeaderboard = async ({ from, to, limit, now = new Date() }) => {
+  const rows = await Alert.aggregate([
+    { $match: { [DRIVER_FIELD]: { $exists: true, $ne: null }, timestamp: { $gte: from, $lt: to }, suppressedBy: null } },
+    {
+      $group: {
+        _id: `$${DRIVER_FIELD}`,
+        riskScore: { $sum: riskContribution(now) },
+        alerts: { $sum: 1 },
+        escalated: { $sum: { $cond: [EVER_ESCALATED, 1, 0] } },
+        lastAlertAt: { $max: '$timestamp' },
+      },
+    },
+    { $sort: { riskScore: -1, alerts: -1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map(({ _id, riskScore, ...rest }) => ({ driverId: _id, riskScore: round(riskScore), ...rest }));
+};
+
+// everything the profile page shows for one driver over [from, to). null when the driver has no alerts at all,
+// so the controller can 404 an unknown id rather than show an empty profile. buckets is the day list for
+// the trend, from listBuckets with the same tz
+export const driverProfile = async (driverId, { from, to, tz, buckets, recentLimit, now = new Date() }) => {
+  const known = await Alert.exists({ [DRIVER_FIELD]: driverId });
+  if (!known) return null;
+
+  const [facets] = await Alert.aggregate([
+    { $match: { [DRIVER_FIELD]: driverId, timestamp: { $gte: from, $lt: to }, suppressedBy: null } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              alerts: { $sum: 1 },
+              escalated: { $sum: { $cond: [EVER_ESCALATED, 1, 0] } },
+              riskScore: { $sum: riskContribution(now) },
+              firstAlertAt: { $min: '$timestamp' },
+              lastAlertAt: { $max: '$timestamp' },
+            },
+          },
+        ],
+        bySourceType: [{ $group: { _id: '$sourceType', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        bySeverity: [{ $group: { _id: '$severity', count: { $sum: 1 } } }],
+        trend: [
+          {
+            $group: {
+              _id: bucketStartExpr('$timestamp', 'day', tz),
+              total: { $sum: 1 },
+              escalated: { $sum: { $cond: [EVER_ESCALATED, 1, 0] } },
+            },
+          },
+        ],
+        // history is left out — the drill-down fetches it per alert
+        recentAlerts: [{ $sort: { timestamp: -1, _id: -1 } }, { $limit: recentLimit }, { $project: { history: 0 } }],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0] ?? { alerts: 0, escalated: 0, riskScore: 0, firstAlertAt: null, lastAlertAt: null };
+  const trendByStart = new Map(facets.trend.map((t) => [t._id.getTime(), t]));
+
+  return {
+    driverId,
+    period: { from, to },
+    alerts: totals.alerts,
+    escalated: totals.escalated,
+    riskScore: round(totals.riskScore),
+    firstAlertAt: totals.firstAlertAt,
+    lastAlertAt: totals.lastAlertAt,
+    bySourceType: facets.bySourceType.map((s) => ({ sourceType: s._id, count: s.count })),
+    // canonical order, most severe first, so the profile reads the same way as the dashboard cards
+    bySeverity: facets.bySeverity
+      .map((s) => ({ severity: s._id, count: s.count }))
+      .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity)),
+    // zero-filled per day, same as the trends endpoint
+    trend: buckets.map(({ label, start }) => ({
+      date: label,
+      total: trendByStart.get(start.getTime())?.total ?? 0,
+      escalated: trendByStart.get(start.getTime())?.escalated ?? 0,
+    })),
+    recentAlerts: facets.recentAlerts,
+  };
+};
@@ -0,0 +1,38 @@
+// escalation tiers — a rule's `escalation_tiers` is an ordered list like
+// [{ "name": "L1", "sla_mins": 15 }, { "name": "L2", "sla_mins": 30 }, { "name": "L3" }].
+// an alert enters the first tier when the rule escalates it, and the escalation worker moves it down the
+// list each time a tier's SLA passes without anyone acknowledging or resolving it
+
+// the SLA clock only runs while nobody has said "I'm on it" — ASSIGNED counts, since being handed an
+// alert isn't the same as picking it up. every assign or reassign restarts the wait (see restartTierClock).
+// time-to-acknowledge in alertMetrics.js stops at the same point, the first ACKNOWLEDGED entry
+export const SLA_STATUSES = ['ESCALATED', 'ASSIGNED'];
+
+const minsFrom = (at, mins) => (mins ? new Date(at.getTime() + mins * 60 * 1000) : null);
+
+// the escalation record an alert carries while it's in a tier. slaDueAt is null on a tier with no SLA —
+// the last tier usually has none, there's nobody further to page
+export const enterTier = (ruleName, tiers, level, at = new Date()) => ({
+  rule: ruleName,
+  level,
+  tier: tiers[level].name,
+  enteredAt: at,
+  slaDueAt: minsFrom(at, tiers[level].sla_mins),
+  breachedAt: null,
+});
+
+// a new owner gets the current tier's full SLA from the hand-off — the old deadline may well have passed
+// while someone else had the alert acknowledged, and promoting it the minute it's reassigned helps nobody.
+// returns the fields to $set, nothing when the alert isn't in a tier or its rule no longer has one
+export const restartTierClock = (escalation, tiers, at = new Date()) => {
+  const tier = escalation ? tiers?.[escalation.level] : null;
+  if (!tier) return {};
+  return {
+    'escalation.enteredAt': at,
+    'escalation.slaDueAt': minsFrom(at, tier.sla_mins),
+    'escalation.breachedAt': null,
+  };
+};
+
+// the tier after the current one, or null when the alert is already at the top
+export const nextTier = (tiers, level) => tiers?.[level + 1] ?? null;
@@ -0,0 +1,146 @@
+import Alert from '../models/Alert.js';
+import Incident from '../models/Incident.js';
+import { getRules } from './rulesStore.js';
+import { rulesForAlert, severityRank } from './ruleDsl.js';
+import { historyEntry } from './alertHistory.js';
+import { statesAllowing } from './alertStateMachine.js';
+import { emitAlertEvent, onAlertEvent, ALERT_EVENTS } from './alertEvents.js';
+
+// one promise chain per key, same idea as the rules store's writeChain — two alerts for the same driver
+// arriving together must land in one incident, not race to create two
+const chains = new Map();
+
+const serialized = (key, run) => {
+  const result = (chains.get(key) ?? Promise.resolve()).then(run, run);
+  const tail = result.catch(() => {});
+  chains.set(key, tail);
+  // drop the entry once nothing is queued behind it, so the map doesn't grow with every driver ever seen
+  tail.then(() => {
+    if (chains.get(key) === tail) chains.delete(key);
+  });
+  return result;
+};
+
+// the most urgent member wins: anything escalated makes the incident escalated, anything untouched keeps it
+// open, and once every live alert has an owner the incident counts as acknowledged. all closed means resolved
+const rollupStatus = (statuses) => {
+  if (statuses.includes('ESCALATED')) return 'ESCALATED';
+  if (statuses.includes('OPEN')) return 'OPEN';
+  if (statuses.includes('ACKNOWLEDGED') || statuses.includes('ASSIGNED')) return 'ACKNOWLEDGED';
+  return 'RESOLVED';
+};
+
+const rollupSeverity = (severities) =>
+  severities.reduce((top, s) => (severityRank(s) > severityRank(top) ? s : top));
+
+// recomputed from the member alerts rather than patched incrementally — whatever order the lifecycle
+// events arrive in, the incident ends up agreeing with its alerts
+export const rollupIncident = (incidentId) =>
+  serialized(`rollup:${incidentId}`, async () => {
+    const alerts = await Alert.find({ incident: incidentId }, { status: 1, severity: 1 }).lean();
+    if (alerts.length === 0) return null;
+
+    const status = rollupStatus(alerts.map((a) => a.status));
+    const set = { status, severity: rollupSeverity(alerts.map((a) => a.severity)), alertCount: alerts.length };
+    // a reopened member alert reopens the incident, so the old resolution no longer applies
+    if (status !== 'RESOLVED') Object.assign(set, { resolvedAt: null, resolvedBy: null });
+
+    await Incident.updateOne({ _id: incidentId }, { $set: set });
+    if (status === 'RESOLVED') {
+      await Incident.updateOne({ _id: incidentId, resolvedAt: null }, { $set: { resolvedAt: new Date() } });
+    }
+    return status;
+  });
+
+// attaches a freshly saved alert to an incident, when one of its rules asks for correlation.
+// the first matching rule with correlate_by decides the key; an alert missing one of the key's metadata
+// values stays on its own rather than being lumped in with every other alert that lacks it
+export const correlateAlert = async (alert) => {
+  const hit = rulesForAlert(getRules(), alert).find(([, rule]) => rule.correlate_by);
+  if (!hit) return null;
+
+  const [name, rule] = hit;
+  const fields = [].concat(rule.correlate_by);
+  const keys = {};
+  for (const field of fields) {
+    const value = alert.metadata?.[field];
+    if (value === undefined || value === null || value === '') return null;
+    keys[field] = value;
+  }
+
+  const key = [alert.sourceType, ...fields.map((f) => `${f}=${keys[f]}`)].join('|');
+  const windowMs = rule.correlate_window_mins * 60 * 1000;
+  const ts = alert.timestamp.getTime();
+
+  const incident = await serialized(key, async () => {
+    // join the most recent unresolved incident whose span is within the window of this alert —
+    // checked on both ends so a late-arriving old alert doesn't get pulled into today's incident
+    const joined = await Incident.findOneAndUpdate(
+      {
+        key,
+        status: { $ne: 'RESOLVED' },
+        lastAlertAt: { $gte: new Date(ts - windowMs) },
+        firstAlertAt: { $lte: new Date(ts + windowMs) },
+      },
+      { $inc: { alertCount: 1 }, $max: { lastAlertAt: alert.timestamp }, $min: { firstAlertAt: alert.timestamp } },
+      { sort: { lastAlertAt: -1 }, returnDocument: 'after' }
+    );
+    if (joined) return joined;
+
+    return Incident.create({
+      key,
+      rule: name,
+      sourceType: alert.sourceType,
+      keys,
+      severity: alert.severity,
+      alertCount: 1,
+      firstAlertAt: alert.timestamp,
+      lastAlertAt: alert.timestamp,
+    });
+  });
+
+  await Alert.updateOne({ _id: alert._id }, { $set: { incident: incident._id } });
+  alert.incident = incident._id;
+  return incident;
+};
+
+// resolves every member alert that can still be resolved, each with its own guarded write and history entry,
+// exactly as if an operator had resolved them one by one. an alert that changes under us is left alone and
+// the rollup keeps the incident open, rather than overwriting someone else's action
+export const resolveIncident = async (incidentId, actor, note = '') => {
+  const open = await Alert.find(
+    { incident: incidentId, status: { $in: statesAllowing('RESOLVED') } },
+    { status: 1 }
+  ).lean();
+
+  const reason = ['resolved with its incident', note].filter(Boolean).join(' — ');
+  let resolved = 0;
+
+  for (const { _id, status } of open) {
+    const alert = await Alert.findOneAndUpdate(
+      { _id, status },
+      {
+        $set: { status: 'RESOLVED', 'metadata.resolvedAt': new Date(), 'metadata.resolvedBy': actor },
+        $push: { history: historyEntry({ from: status, to: 'RESOLVED', actor, reason }) },
+      },
+      { returnDocument: 'after' }
+    );
+    if (!alert) continue;
+    resolved += 1;
+    emitAlertEvent(ALERT_EVENTS.RESOLVED, alert);
+  }
+
+  const status = await rollupIncident(incidentId);
+  if (status === 'RESOLVED') {
+    await Incident.updateOne({ _id: incidentId, status: 'RESOLVED' }, { $set: { resolvedBy: actor } });
+  }
+
+  return { resolved, skipped: open.length - resolved };
+};
+
+export const startIncidents = () => {
+  // every lifecycle change can move an incident's roll-up — escalation raises it, acknowledge/resolve settle it
+  Object.values(ALERT_EVENTS).forEach((event) =>
+    onAlertEvent(event, (alert) => (alert.incident ? rollupIncident(alert.incident) : null))
+  );
+};
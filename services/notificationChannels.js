@@ -0,0 +1,59 @@
+import nodemailer from 'nodemailer';
+
+// each channel type is a factory: config in, async send(message) out. send throws on failure and the
+// notifier owns retries, so a channel only has to describe a single attempt.
+// every destination is config/env driven, so tests can point them at a local http server or smtp sink
+
+// config values can be given inline or as the name of an env var — secrets and per-env urls stay out of git
+const resolve = (config, key) => config[key] ?? (config[`${key}_env`] ? process.env[config[`${key}_env`]] : undefined);
+
+const webhook = (config) => {
+  const url = resolve(config, 'url');
+  if (!url) return null;
+
+  return async (message) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message.payload),
+      // a hung receiver shouldn't hold the retry loop forever
+      signal: AbortSignal.timeout(config.timeout_ms ?? 5000),
+    });
+    if (!res.ok) throw new Error(`webhook responded with ${res.status}`);
+  };
+};
+
+const email = (config) => {
+  const to = resolve(config, 'to');
+  if (!to || !process.env.SMTP_HOST) return null;
+
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT ?? 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    // a local smtp sink usually takes no auth, so only send credentials when they're configured
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return async (message) => {
+    await transport.sendMail({
+      from: process.env.SMTP_FROM ?? 'alerts@moveinsync.local',
+      to,
+      subject: message.subject,
+      text: message.text,
+    });
+  };
+};
+
+// always available — useful in dev and as a paper trail next to the real channels
+const log = () => async (message) => {
+  console.log(`[notify] ${message.subject}`);
+};
+
+export const CHANNEL_TYPES = { webhook, email, log };
+
+// returns null when the channel type is unknown or its destination isn't configured in this environment
+export const buildChannel = (config) => {
+  const factory = CHANNEL_TYPES[config?.type];
+  return factory ? factory(config) : null;
+};
@@ -0,0 +1,122 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import { ALERT_EVENTS, onAlertEvent } from './alertEvents.js';
+import { buildChannel } from './notificationChannels.js';
+import { matchesAlert } from './ruleDsl.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// routing changes far less often than thresholds, so this is read once at startup like rules.json used to be
+const config = JSON.parse(readFileSync(join(__dirname, '../notifications.json'), 'utf-8'));
+
+const MAX_ATTEMPTS = config.retry?.attempts ?? 3;
+const BACKOFF_MS = config.retry?.backoff_ms ?? 2000;
+
+// name -> { type, send } for every channel whose destination is configured in this environment
+const channels = {};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// routes reuse the rule DSL's match block, so "page on high-severity overspeed" reads the same as a rule does
+const channelsFor = (event, alert) => {
+  const names = new Set();
+  for (const route of config.routes ?? []) {
+    if (!route.events?.includes(event)) continue;
+    if (route.match && !matchesAlert(route.match, alert)) continue;
+    route.channels.forEach((n) => names.add(n));
+  }
+  // a route naming an unconfigured channel is skipped rather than recorded as a failure — it was never going to send
+  return [...names].filter((n) => channels[n]);
+};
+
+const composeMessage = (event, alert) => {
+  // the latest history entry carries the why — rule name and threshold for escalations, closure note for auto-closes
+  const last = alert.history?.[alert.history.length - 1];
+  const label = event.replace('alert.', '').replaceAll('_', '-').toUpperCase();
+  return {
+    subject: `[${label}] ${alert.sourceType} ${alert.alertid} (${alert.severity})`,
+    text: [
+      `alert ${alert.alertid} is now ${alert.status}`,
+      `source: ${alert.sourceType}`,
+      `severity: ${alert.severity}`,
+      alert.escalation ? `escalation tier: ${alert.escalation.tier}` : null,
+      last?.reason ? `reason: ${last.reason}` : null,
+      `metadata: ${JSON.stringify(alert.metadata ?? {})}`,
+    ].filter(Boolean).join('\n'),
+    payload: { event, alert },
+  };
+};
+
+// exponential backoff between attempts; the delivery row is updated after every attempt so a crash mid-retry
+// still leaves an accurate attempt count behind
+const deliver = async (delivery, channel, message) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await channel.send(message);
+      await NotificationDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'delivered', attempts: attempt, deliveredAt: new Date(), lastError: null } }
+      );
+      return;
+    } catch (err) {
+      const failed = attempt === MAX_ATTEMPTS;
+      await NotificationDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: failed ? 'failed' : 'pending', attempts: attempt, lastError: err.message } }
+      );
+      if (failed) {
+        console.error(`notification to ${delivery.channel} for ${delivery.alertid} failed after ${attempt} attempts:`, err.message);
+        return;
+      }
+      await sleep(BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+export const dispatch = async (alert, event) => {
+  // a suppression window exists precisely so nobody gets paged for these
+  if (alert.suppressedBy) return;
+
+  const names = channelsFor(event, alert);
+  if (names.length === 0) return;
+
+  const message = composeMessage(event, alert);
+
+  // channels are independent — a slow smtp server shouldn't delay the webhook
+  await Promise.all(
+    names.map(async (name) => {
+      const delivery = await NotificationDelivery.create({
+        alert: alert._id,
+        alertid: alert.alertid,
+        event,
+        channel: name,
+        channelType: channels[name].type,
+      });
+      await deliver(delivery, channels[name], message);
+    })
+  );
+};
+
+export const startNotifications = () => {
+  for (const [name, channelConfig] of Object.entries(config.channels ?? {})) {
+    const send = buildChannel(channelConfig);
+    if (!send) {
+      // missing env var or unknown type — say so once at startup instead of failing every dispatch
+      console.warn(`notification channel ${name} (${channelConfig.type}) is not configured, skipping`);
+      continue;
+    }
+    channels[name] = { type: channelConfig.type, send };
+  }
+
+  // subscribe to every lifecycle event and let the routes decide — escalation is the main one,
+  // but adding auto-close or resolve notifications is then purely a notifications.json change
+  Object.values(ALERT_EVENTS).forEach((event) => onAlertEvent(event, dispatch));
+
+  console.log(`notifications started (${Object.keys(channels).length} channels)`);
+};
+
+export const getDeliveriesForAlert = (alertId) =>
+  NotificationDelivery.find({ alert: alertId }).sort({ createdAt: 1 }).lean();
@@ -0,0 +1,17 @@
+import bcrypt from 'bcrypt';
+
+const SALT_ROUNDS = 12;
+// 12 rounds is the sweet spot — low enough that login isn't slow, high enough that brute-forcing a leaked hash would take years on modern hardware
+
+// enforce minimum before hashing — bcrypt silently truncates at 72 chars but says nothing about minimums.
+// returns the error message, or null when the password is acceptable
+export const passwordError = (password) => {
+  if (typeof password !== 'string' || password.length < 8) return 'password must be at least 8 characters';
+  return null;
+};
+
+// hash before save so the plaintext never touches the db, even in the same tick
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+// bcrypt.compare is constant-time, so this doesn't leak timing info about whether the hash matched
+export const checkPassword = (password, hash) => bcrypt.compare(password, hash);
@@ -0,0 +1,79 @@
+// the rule DSL's vocabulary lives here so the interpreter, the auto-close worker and the schema
+// validator all agree on what a rule can say.
+//
+// a rule's `match` block is { sourceType, severity, metadata } — sourceType/severity take a string or
+// an array, metadata maps a key to either a literal (equality) or an operator object like { "$gte": 100 }.
+// operators deliberately mirror mongo's names, so the same block runs in memory and as a query filter
+
+export const PREDICATE_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'];
+
+// the canonical scale, info → critical. ingest maps whatever a source sends onto it (see sourceSchemas.js);
+// an unknown severity ranks below everything so any upgrade applies to it
+export const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+export const severityRank = (severity) => SEVERITY_ORDER.indexOf(severity);
+
+const isOperatorObject = (v) =>
+  v !== null && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).every((k) => k.startsWith('$'));
+
+const applyOperator = (op, expected, actual) => {
+  switch (op) {
+    case '$eq': return actual === expected;
+    case '$ne': return actual !== expected;
+    case '$gt': return actual > expected;
+    case '$gte': return actual >= expected;
+    case '$lt': return actual < expected;
+    case '$lte': return actual <= expected;
+    case '$in': return expected.includes(actual);
+    case '$nin': return !expected.includes(actual);
+    case '$exists': return (actual !== undefined) === expected;
+    default: return false; // the schema rejects unknown operators, this is just a backstop
+  }
+};
+
+// true when a single value satisfies a predicate — a literal or an operator object
+export const matchesPredicate = (predicate, actual) => {
+  if (!isOperatorObject(predicate)) return actual === predicate;
+  return Object.entries(predicate).every(([op, expected]) => applyOperator(op, expected, actual));
+};
+
+// true when every key in the predicate map is satisfied by the metadata
+export const matchesMetadata = (predicates = {}, metadata = {}) =>
+  Object.entries(predicates).every(([key, predicate]) => matchesPredicate(predicate, metadata?.[key]));
+
+const oneOf = (expected, actual) => (Array.isArray(expected) ? expected.includes(actual) : expected === actual);
+
+// rules written before the DSL had no match block and were keyed by sourceType — keep honouring that
+export const ruleMatch = (name, rule) => rule.match ?? { sourceType: name };
+
+export const matchesAlert = (match, alert) => {
+  if (match.sourceType !== undefined && !oneOf(match.sourceType, alert.sourceType)) return false;
+  if (match.severity !== undefined && !oneOf(match.severity, alert.severity)) return false;
+  return matchesMetadata(match.metadata, alert.metadata);
+};
+
+// same match block, expressed as a mongo filter — used to count "alerts like this one" inside a window
+export const matchToFilter = (match) => {
+  const filter = {};
+  if (match.sourceType !== undefined) {
+    filter.sourceType = Array.isArray(match.sourceType) ? { $in: match.sourceType } : match.sourceType;
+  }
+  if (match.severity !== undefined) {
+    filter.severity = Array.isArray(match.severity) ? { $in: match.severity } : match.severity;
+  }
+  for (const [key, predicate] of Object.entries(match.metadata ?? {})) {
+    filter[`metadata.${key}`] = predicate;
+  }
+  return filter;
+};
+
+// every auto-close condition a rule can express, normalized into one predicate map.
+// auto_close_if is the original shorthand for "this metadata flag is true"
+export const autoClosePredicates = (rule) => {
+  if (rule.auto_close_when) return rule.auto_close_when;
+  if (rule.auto_close_if) return { [rule.auto_close_if]: true };
+  return null;
+};
+
+// rules in file order whose match block accepts this alert
+export const rulesForAlert = (rules, alert) =>
+  Object.entries(rules).filter(([name, rule]) => matchesAlert(ruleMatch(name, rule), alert));
@@ -0,0 +1,165 @@
+import { PREDICATE_OPERATORS, SEVERITY_ORDER } from './ruleDsl.js';
+
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isStringOrStringList = (v) => isNonEmptyString(v) || (Array.isArray(v) && v.length > 0 && v.every(isNonEmptyString));
+const isSeverity = (v) => SEVERITY_ORDER.includes(v);
+
+// a predicate map is { key: literal | { $op: value } } — checks the operators, since an unknown one
+// would match nothing in memory and throw in mongo
+const predicateMapErrors = (map, path) => {
+  if (!isPlainObject(map)) return [{ path, message: 'must be an object of metadata predicates' }];
+
+  const errors = [];
+  for (const [key, predicate] of Object.entries(map)) {
+    if (!isPlainObject(predicate)) continue; // a literal means plain equality — always valid
+
+    for (const [op, value] of Object.entries(predicate)) {
+      if (!PREDICATE_OPERATORS.includes(op)) {
+        errors.push({ path: `${path}.${key}.${op}`, message: `unknown operator, expected one of ${PREDICATE_OPERATORS.join(', ')}` });
+      } else if ((op === '$in' || op === '$nin') && !Array.isArray(value)) {
+        errors.push({ path: `${path}.${key}.${op}`, message: 'must be an array' });
+      } else if (op === '$exists' && typeof value !== 'boolean') {
+        errors.push({ path: `${path}.${key}.${op}`, message: 'must be a boolean' });
+      }
+    }
+  }
+  return errors;
+};
+
+const matchErrors = (match, path) => {
+  if (!isPlainObject(match)) return [{ path, message: 'must be an object' }];
+
+  const errors = [];
+  for (const [key, value] of Object.entries(match)) {
+    if (key === 'sourceType' || key === 'severity') {
+      if (!isStringOrStringList(value)) errors.push({ path: `${path}.${key}`, message: 'must be a string or a non-empty array of strings' });
+    } else if (key === 'metadata') {
+      errors.push(...predicateMapErrors(value, `${path}.metadata`));
+    } else {
+      errors.push({ path: `${path}.${key}`, message: 'unknown match key, expected sourceType, severity or metadata' });
+    }
+  }
+  return errors;
+};
+
+// [{ name, sla_mins, severity? }, ...] — every tier but the last needs an SLA, otherwise the tiers after it
+// are unreachable. severity is the level an alert is raised to on entering the tier
+const escalationTierErrors = (tiers, path) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) return [{ path, message: 'must be a non-empty array of tiers' }];
+
+  const errors = [];
+  const seen = new Set();
+  tiers.forEach((tier, i) => {
+    const at = `${path}[${i}]`;
+    if (!isPlainObject(tier)) {
+      errors.push({ path: at, message: 'tier must be an object' });
+      return;
+    }
+    for (const key of Object.keys(tier)) {
+      if (!['name', 'sla_mins', 'severity'].includes(key)) {
+        errors.push({ path: `${at}.${key}`, message: 'unknown tier key, expected name, sla_mins or severity' });
+      }
+    }
+    if (!isNonEmptyString(tier.name)) {
+      errors.push({ path: `${at}.name`, message: 'must be a non-empty string' });
+    } else if (seen.has(tier.name)) {
+      errors.push({ path: `${at}.name`, message: `duplicate tier name ${tier.name}` });
+    } else {
+      seen.add(tier.name);
+    }
+    if ('sla_mins' in tier && !isPositiveInt(tier.sla_mins)) {
+      errors.push({ path: `${at}.sla_mins`, message: 'must be a positive integer' });
+    } else if (!('sla_mins' in tier) && i < tiers.length - 1) {
+      errors.push({ path: `${at}.sla_mins`, message: 'required on every tier except the last' });
+    }
+    if ('severity' in tier && !isSeverity(tier.severity)) {
+      errors.push({ path: `${at}.severity`, message: `must be one of ${SEVERITY_ORDER.join(', ')}` });
+    }
+  });
+  return errors;
+};
+
+// field specs for a single rule entry — anything not listed here is rejected so a typo like
+// "window_min" fails loudly instead of silently disabling a rule.
+// each check returns a list of { path, message }, so nested blocks can report more than one problem
+const scalar = (check, message) => (value, path) => (check(value) ? [] : [{ path, message }]);
+
+const RULE_FIELDS = {
+  match: matchErrors,
+  escalate_if_count: scalar(isPositiveInt, 'must be a positive integer'),
+  window_mins: scalar(isPositiveInt, 'must be a positive integer'),
+  group_by: scalar(isNonEmptyString, 'must be a non-empty string naming a metadata key'),
+  auto_close_mins: scalar(isPositiveInt, 'must be a positive integer'),
+  auto_close_if: scalar(isNonEmptyString, 'must be a non-empty string'),
+  auto_close_when: predicateMapErrors,
+  set_severity: scalar(isSeverity, `must be one of ${SEVERITY_ORDER.join(', ')}`),
+  escalate_severity: scalar(isSeverity, `must be one of ${SEVERITY_ORDER.join(', ')}`),
+  escalation_tiers: escalationTierErrors,
+  auto_close_escalated: scalar((v) => typeof v === 'boolean', 'must be a boolean'),
+  correlate_by: scalar(isStringOrStringList, 'must be a metadata key or a non-empty array of metadata keys'),
+  correlate_window_mins: scalar(isPositiveInt, 'must be a positive integer'),
+};
+
+// returns a list of { path, message } — empty means the rule set is valid.
+// collects every problem instead of stopping at the first so the admin can fix them in one pass
+export const validateRules = (rules) => {
+  const errors = [];
+
+  if (!isPlainObject(rules)) {
+    return [{ path: '', message: 'rules must be an object keyed by rule name' }];
+  }
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (!isPlainObject(rule)) {
+      errors.push({ path: name, message: 'rule must be an object' });
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(rule)) {
+      const check = RULE_FIELDS[key];
+      if (!check) {
+        errors.push({ path: `${name}.${key}`, message: 'unknown rule key' });
+      } else {
+        errors.push(...check(value, `${name}.${key}`));
+      }
+    }
+
+    // a count without a window (or the reverse) can never fire, so treat it as a config mistake
+    const hasCount = 'escalate_if_count' in rule;
+    const hasWindow = 'window_mins' in rule;
+    if (hasCount !== hasWindow) {
+      errors.push({
+        path: `${name}.${hasCount ? 'window_mins' : 'escalate_if_count'}`,
+        message: 'escalate_if_count and window_mins must be set together',
+      });
+    }
+
+    // group_by, escalate_severity and escalation_tiers only mean something when the rule can escalate
+    for (const key of ['group_by', 'escalate_severity', 'escalation_tiers']) {
+      if (key in rule && !hasCount) {
+        errors.push({ path: `${name}.${key}`, message: `${key} requires escalate_if_count and window_mins` });
+      }
+    }
+
+    // correlation needs both a key and a window, same as escalation needs a count and a window
+    if (('correlate_by' in rule) !== ('correlate_window_mins' in rule)) {
+      errors.push({
+        path: `${name}.${'correlate_by' in rule ? 'correlate_window_mins' : 'correlate_by'}`,
+        message: 'correlate_by and correlate_window_mins must be set together',
+      });
+    }
+
+    if ('auto_close_escalated' in rule && !('auto_close_mins' in rule)) {
+      errors.push({ path: `${name}.auto_close_escalated`, message: 'auto_close_escalated requires auto_close_mins' });
+    }
+
+    // two ways of saying the same thing — refuse the ambiguity rather than pick one silently
+    if ('auto_close_if' in rule && 'auto_close_when' in rule) {
+      errors.push({ path: `${name}.auto_close_when`, message: 'use either auto_close_if or auto_close_when, not both' });
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,113 @@
+import { readFileSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import RuleVersion from '../models/RuleVersion.js';
+import { validateRules } from './rulesSchema.js';
+import { broadcast, onBroadcast } from './broadcast.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RULES_PATH = join(__dirname, '../rules.json');
+
+// single in-memory copy shared by the rule engines and the auto-close worker — they read it through
+// getRules() on every use, so swapping this reference is all a hot reload needs
+let current = JSON.parse(readFileSync(RULES_PATH, 'utf-8'));
+// the version `current` is, as far as this process knows — set by initRulesStore, then by every update
+let currentVersion = 0;
+
+// a PUT or rollback on another process — announced with just the version number, since RuleVersion in
+// mongo is the one store every process shares (rules.json may well be a per-instance file)
+const RELOAD_CHANNEL = 'mis:rules:reload';
+
+// serializes writers so two concurrent PUTs can't interleave their file writes or version numbers
+let writeChain = Promise.resolve();
+
+export class RulesValidationError extends Error {
+  constructor(errors) {
+    super('invalid rules config');
+    this.name = 'RulesValidationError';
+    this.errors = errors;
+  }
+}
+
+export const getRules = () => current;
+
+// write to a temp file and rename over the original — rename is atomic on the same filesystem,
+// so a crash mid-write leaves the old rules.json intact rather than a half-written one
+const persist = async (rules) => {
+  const tmpPath = `${RULES_PATH}.${process.pid}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(rules, null, 2) + '\n', 'utf-8');
+  await rename(tmpPath, RULES_PATH);
+};
+
+const nextVersion = async () => {
+  const latest = await RuleVersion.findOne({}, { version: 1 }).sort({ version: -1 }).lean();
+  return (latest?.version ?? 0) + 1;
+};
+
+// called once after mongo connects — seeds version 1 from whatever rules.json shipped with,
+// so the first admin edit always has something to roll back to
+export const initRulesStore = async () => {
+  const count = await RuleVersion.countDocuments();
+  if (count === 0) {
+    await RuleVersion.create({ version: 1, rules: current, updatedBy: 'system', note: 'seeded from rules.json' });
+  }
+  currentVersion = (await nextVersion()) - 1;
+};
+
+export const updateRules = (rules, updatedBy, note = '') => {
+  const run = async () => {
+    const errors = validateRules(rules);
+    if (errors.length > 0) throw new RulesValidationError(errors);
+
+    const version = await nextVersion();
+    // record the version before touching the file — if the write fails we still know what was attempted,
+    // and if the insert fails the live config hasn't moved
+    const saved = await RuleVersion.create({ version, rules, updatedBy, note });
+    await persist(rules);
+    current = rules;
+    currentVersion = version;
+
+    console.log(`rules config updated to v${version} by ${updatedBy}`);
+    broadcast(RELOAD_CHANNEL, { version });
+    return saved;
+  };
+
+  return serialized(run);
+};
+
+// chain regardless of whether the previous write failed, but hand the caller this write's own outcome
+const serialized = (run) => {
+  const result = writeChain.then(run, run);
+  writeChain = result.catch(() => {});
+  return result;
+};
+
+// another process saved a new version — load it from mongo and swap it in, same as a local PUT minus the
+// validation it already passed. the version check drops announcements that arrive late or out of order
+onBroadcast(RELOAD_CHANNEL, ({ version }) =>
+  serialized(async () => {
+    if (version <= currentVersion) return;
+    const saved = await RuleVersion.findOne({ version }).lean();
+    if (!saved) return;
+    await persist(saved.rules);
+    current = saved.rules;
+    currentVersion = version;
+    console.log(`rules config reloaded to v${version}, updated by ${saved.updatedBy} on another instance`);
+  })
+);
+
+export const listRuleVersions = () =>
+  RuleVersion.find({}, { version: 1, updatedBy: 1, note: 1, createdAt: 1 }).sort({ version: -1 }).lean();
+
+export const getRuleVersion = (version) => RuleVersion.findOne({ version }).lean();
+
+// rollback re-applies an old rule set as a brand new version rather than rewinding the counter,
+// so the version list stays an honest record of what was live and when
+export const rollbackRules = async (version, updatedBy) => {
+  const target = await getRuleVersion(version);
+  if (!target) return null;
+  return updateRules(target.rules, updatedBy, `rollback to v${version}`);
+};
@@ -0,0 +1,144 @@
+import { randomBytes, createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+// access tokens are short so a leaked one is worth minutes, not a shift — the refresh token carries the session
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL ?? '15m';
+// how long a session survives without a refresh. an open dashboard refreshes every few minutes, so this
+// only ever lapses for a tab that was closed or a laptop that was shut
+const REFRESH_IDLE_MS = Number(process.env.REFRESH_TOKEN_IDLE_HOURS ?? 12) * 60 * 60 * 1000;
+
+// how many rotated-away refresh tokens a session remembers for reuse detection. a copied token is almost
+// always replayed within a few rotations; one older than this is simply rejected as unknown, without the
+// revoke. ~12 hours of 15-minute refreshes, so a long-lived session's document stays a fixed size
+export const REUSE_HISTORY = 50;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// the refresh token is returned once and only its hash is stored, same as api keys
+export const createSession = async (user) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_IDLE_MS),
+  });
+  return { token: signAccessToken(user, session._id), refreshToken };
+};
+
+// swaps a refresh token for a new pair. returns { token, refreshToken } or { error }.
+// the swap is a conditional update on the presented hash, so two requests racing with the same token
+// can't both win — the loser sees it as a reused token
+export const rotateSession = async (refreshToken) => {
+  const presented = hashToken(refreshToken);
+  const now = new Date();
+  const next = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(next), lastRefreshedAt: now, expiresAt: new Date(now.getTime() + REFRESH_IDLE_MS) },
+      $push: { rotatedHashes: { $each: [presented], $slice: -REUSE_HISTORY } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { rotatedHashes: presented, revokedAt: null },
+      { $set: { revokedAt: now, revokedBy: 'system', revokedReason: 'refresh token reused' } }
+    );
+    if (reused) console.warn(`refresh token reuse on session ${reused._id} — session revoked`);
+    return { error: 'invalid refresh token' };
+  }
+
+  // the user is re-read on every refresh, so the new access token always carries their current role.
+  // deactivation revokes sessions outright, but a refresh racing it would otherwise slip through
+  const user = await User.findById(session.user).lean();
+  // lean skips schema defaults, and users that predate the active field don't have it — only an explicit false counts
+  if (!user || user.active === false) {
+    await revokeSession(session._id, 'system', user ? 'user deactivated' : 'user no longer exists');
+    return { error: 'invalid refresh token' };
+  }
+
+  return { token: signAccessToken(user, session._id), refreshToken: next };
+};
+
+// both return whether anything was revoked — already-revoked sessions are left with their original reason
+export const revokeSession = async (sessionId, actor, reason) => {
+  const { modifiedCount } = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: actor, revokedReason: reason } }
+  );
+  return modifiedCount > 0;
+};
+
+export const revokeUserSessions = async (userId, actor, reason) => {
+  const { modifiedCount } = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: actor, revokedReason: reason } }
+  );
+  return modifiedCount;
+};
+
+// logout — the session's own user is the actor
+export const revokeSessionByRefreshToken = async (refreshToken, reason) => {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) }, { user: 1 })
+    .populate('user', 'email')
+    .lean();
+  if (!session) return false;
+  return revokeSession(session._id, session.user?.email ?? 'unknown', reason);
+};
+
+// checked on every authenticated request — one indexed _id lookup, the price of revocation taking effect
+// immediately instead of whenever the access token happens to expire
+export const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId, { revokedAt: 1 }).lean();
+  return Boolean(session && !session.revokedAt);
+};
+
+// EventSource can't send headers, so the live stream is opened with a ticket in the url instead of the access
+// token. a ticket only opens the stream, once, within 30 seconds — one that ends up in an access log is spent
+// or expired by the time anyone reads it
+export const STREAM_TICKET_TTL_SECONDS = 30;
+const STREAM_TICKET_AUDIENCE = 'alert-stream';
+// ids of tickets already redeemed by this process, with their expiry — dropped once they'd fail verify anyway.
+// another instance could still take the same ticket once inside its 30 seconds, which the short ttl bounds
+const redeemedTickets = new Map();
+
+export const issueStreamTicket = (user) =>
+  jwt.sign(
+    { userId: user.userId, email: user.email, role: user.role, sid: user.sid },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_TTL_SECONDS, audience: STREAM_TICKET_AUDIENCE, jwtid: randomBytes(16).toString('base64url') }
+  );
+
+// a ticket is signed with the same secret as an access token, so authenticate has to turn it away by hand
+export const isStreamTicket = (claims) => claims.aud === STREAM_TICKET_AUDIENCE;
+
+// returns the claims the ticket was issued with, or null when it's bad, expired, already used or its session
+// has been revoked since
+export const redeemStreamTicket = async (ticket) => {
+  let claims;
+  try {
+    claims = jwt.verify(ticket, process.env.JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE });
+  } catch {
+    return null;
+  }
+
+  const now = Date.now() / 1000;
+  for (const [id, exp] of redeemedTickets) if (exp <= now) redeemedTickets.delete(id);
+  if (redeemedTickets.has(claims.jti)) return null;
+  redeemedTickets.set(claims.jti, claims.exp);
+
+  return (await isSessionActive(claims.sid)) ? claims : null;
+};
@@ -0,0 +1,112 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { SEVERITY_ORDER } from './ruleDsl.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// what each upstream source is expected to send. read once at startup like notifications.json —
+// a new source type is a deploy-time contract with an integration, not something to flip at runtime
+const config = JSON.parse(readFileSync(join(__dirname, '../sourceTypes.json'), 'utf-8'));
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  boolean: (v) => typeof v === 'boolean',
+  date: (v) => (typeof v === 'string' || typeof v === 'number') && !isNaN(new Date(v).getTime()),
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+// a typo like "numbr" or "hgih" would reject every alert from that source, so refuse to start instead
+const assertCanonical = (value, path) => {
+  if (!SEVERITY_ORDER.includes(value)) {
+    throw new Error(`sourceTypes.json: ${path} must be one of ${SEVERITY_ORDER.join(', ')}, got ${value}`);
+  }
+};
+for (const [alias, value] of Object.entries(config.severity_aliases ?? {})) {
+  assertCanonical(value, `severity_aliases.${alias}`);
+}
+for (const [sourceType, schema] of Object.entries(config.sourceTypes ?? {})) {
+  for (const [raw, value] of Object.entries(schema.severity_map ?? {})) {
+    assertCanonical(value, `${sourceType}.severity_map.${raw}`);
+  }
+  (schema.severity ?? []).forEach((value, i) => assertCanonical(value, `${sourceType}.severity[${i}]`));
+  for (const [key, field] of Object.entries(schema.metadata ?? {})) {
+    if (!TYPE_CHECKS[field.type]) {
+      throw new Error(`sourceTypes.json: ${sourceType}.metadata.${key} has unknown type ${field.type}`);
+    }
+  }
+}
+
+const schemas = config.sourceTypes ?? {};
+
+// unregistered sources are let through by default, so a new integration can start sending before its
+// schema is written — flip allow_unregistered off once every source has one
+const ALLOW_UNREGISTERED = config.allow_unregistered !== false;
+
+// lowercased once so "WARN" and "Warn" hit the same alias
+const ALIASES = Object.fromEntries(
+  Object.entries(config.severity_aliases ?? {}).map(([alias, value]) => [alias.toLowerCase(), value])
+);
+
+// whatever the source sent → a level on the canonical scale, or null when nothing maps it.
+// the source's own severity_map wins (numeric levels mean different things per vendor), then the
+// shared aliases, then the canonical names themselves in any case — "HIGH" is just high
+export const normalizeSeverity = (sourceType, raw) => {
+  if (typeof raw !== 'string' && typeof raw !== 'number') return null;
+  const key = String(raw).trim();
+
+  const sourceMap = getSourceSchema(sourceType)?.severity_map ?? {};
+  if (Object.hasOwn(sourceMap, key)) return sourceMap[key];
+
+  const lower = key.toLowerCase();
+  if (Object.hasOwn(ALIASES, lower)) return ALIASES[lower];
+  return SEVERITY_ORDER.includes(lower) ? lower : null;
+};
+
+export const getSourceSchema = (sourceType) =>
+  Object.hasOwn(schemas, sourceType) ? schemas[sourceType] : null;
+
+export const listSourceSchemas = () =>
+  Object.entries(schemas).map(([sourceType, schema]) => ({ sourceType, ...schema }));
+
+// returns a list of { path, message } — empty means the alert fits its source's schema.
+// severity is the already-normalized one, so the schema's list is written in canonical levels.
+// every problem is reported at once, so an integration can fix its payload in one pass
+export const sourceSchemaErrors = ({ sourceType, severity, metadata }) => {
+  const schema = getSourceSchema(sourceType);
+  if (!schema) {
+    return ALLOW_UNREGISTERED ? [] : [{ path: 'sourceType', message: `unknown source type ${sourceType}` }];
+  }
+
+  const errors = [];
+
+  if (schema.severity && !schema.severity.includes(severity)) {
+    errors.push({ path: 'severity', message: `must be one of ${schema.severity.join(', ')}` });
+  }
+
+  if (metadata !== undefined && !TYPE_CHECKS.object(metadata)) {
+    return [...errors, { path: 'metadata', message: 'must be an object' }];
+  }
+
+  for (const [key, field] of Object.entries(schema.metadata ?? {})) {
+    const value = metadata?.[key];
+    const path = `metadata.${key}`;
+
+    if (value === undefined || value === null) {
+      if (field.required) errors.push({ path, message: 'is required' });
+      continue;
+    }
+    // the classic case: "document_valid": "true" is a string, and a rule checking for true never fires
+    if (!TYPE_CHECKS[field.type](value)) {
+      errors.push({ path, message: `must be a ${field.type}` });
+    } else if (field.enum && !field.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${field.enum.join(', ')}` });
+    }
+  }
+
+  // keys the schema doesn't mention are kept — sources add fields over time and that shouldn't break ingest
+  return errors;
+};
@@ -0,0 +1,35 @@
+import Alert from '../models/Alert.js';
+import SuppressionWindow from '../models/SuppressionWindow.js';
+import { matchesAlert } from './ruleDsl.js';
+
+// a window's scope as a rule-DSL match block, so "does this window cover the alert" is answered by the
+// same matcher the rules and notification routes use
+const windowMatch = (window) => {
+  const match = { metadata: {} };
+  if (window.sourceTypes?.length) match.sourceType = window.sourceTypes;
+  for (const [key, value] of Object.entries(window.metadata ?? {})) {
+    match.metadata[key] = Array.isArray(value) ? { $in: value } : value;
+  }
+  return match;
+};
+
+// the first window covering the alert's own timestamp — the time the vehicle was in the workshop is what
+// matters, not when the alert happened to reach us
+export const findSuppressingWindow = async (alert) => {
+  const windows = await SuppressionWindow.find({
+    startsAt: { $lte: alert.timestamp },
+    endsAt: { $gte: alert.timestamp },
+  }).sort({ createdAt: 1 }).lean();
+  return windows.find((w) => matchesAlert(windowMatch(w), alert)) ?? null;
+};
+
+// tags a freshly saved alert when a window covers it. returns true when suppressed, so ingest can skip the
+// rule engine and correlation for it
+export const applySuppression = async (alert) => {
+  const window = await findSuppressingWindow(alert);
+  if (!window) return false;
+
+  await Alert.updateOne({ _id: alert._id }, { $set: { suppressedBy: window._id } });
+  alert.suppressedBy = window._id;
+  return true;
+};
@@ -0,0 +1,99 @@
+// calendar buckets in an arbitrary iana timezone, without a date library. mongo's $dateTrunc does the
+// grouping; this side generates the same bucket starts so empty ones can be zero-filled. the two are
+// matched on the start instant, not a label — in a dst fall-back two different hours share a wall clock
+
+export const GRANULARITIES = ['hour', 'day', 'week'];
+
+export const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const formatterFor = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(tz);
+};
+
+// the wall clock in tz at an instant, as { year, month (1-12), day, hour, minute, second }
+const wallClock = (date, tz) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// offset of tz from utc at an instant, in ms
+const offsetAt = (date, tz) => {
+  const w = wallClock(date, tz);
+  return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - (date.getTime() - date.getMilliseconds());
+};
+
+// the instant a wall-clock time in tz happens at. Date.UTC normalizes overflow (day 32, hour 24), so callers
+// can step a field past its range. checked twice because the first guess can land across a dst change
+const fromWallClock = ({ year, month, day, hour = 0 }, tz) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour);
+  let instant = asUtc - offsetAt(new Date(asUtc), tz);
+  instant = asUtc - offsetAt(new Date(instant), tz);
+  return new Date(instant);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// start of the bucket containing date, as the wall clock of that start
+const truncate = (date, granularity, tz) => {
+  const w = wallClock(date, tz);
+  if (granularity === 'hour') return { year: w.year, month: w.month, day: w.day, hour: w.hour };
+  if (granularity === 'day') return { year: w.year, month: w.month, day: w.day, hour: 0 };
+  // weeks start on monday, matching $dateTrunc's startOfWeek below
+  const dow = new Date(Date.UTC(w.year, w.month - 1, w.day)).getUTCDay();
+  return { year: w.year, month: w.month, day: w.day - ((dow + 6) % 7), hour: 0 };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// hours step in real time, so a dst change gives a 23- or 25-bucket day like $dateTrunc does, instead of
+// landing twice on a wall-clock hour that doesn't exist. days and weeks step on the wall clock
+const nextStart = (start, granularity, tz) => {
+  if (granularity === 'hour') return new Date(start.getTime() + HOUR_MS);
+  const w = wallClock(start, tz);
+  return fromWallClock({ year: w.year, month: w.month, day: w.day + (granularity === 'week' ? 7 : 1) }, tz);
+};
+
+// every bucket touching [from, to) — [{ label, start }], start being the utc instant the bucket begins and
+// label its wall clock in tz ("2026-10-19T14:00" for hours, the date for days, the monday for weeks).
+// returns null past maxBuckets so a year of hours can't be asked for by accident
+export const listBuckets = (from, to, granularity, tz, maxBuckets) => {
+  const buckets = [];
+  for (let start = fromWallClock(truncate(from, granularity, tz), tz); start < to; start = nextStart(start, granularity, tz)) {
+    if (buckets.length === maxBuckets) return null;
+    // read the label back off the instant so an overflowed field ("day 32") reads as the real date
+    const w = wallClock(start, tz);
+    const date = `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+    buckets.push({ label: granularity === 'hour' ? `${date}T${pad(w.hour)}:00` : date, start });
+  }
+  return buckets;
+};
+
+// the aggregation expression giving the start of an alert's bucket — pair with listBuckets for the same tz
+export const bucketStartExpr = (field, granularity, tz) => ({
+  $dateTrunc: { date: field, unit: granularity, timezone: tz, startOfWeek: 'monday' },
+});
+
+// start of the bucket n buckets before the one containing date — used for default ranges like "the last 7 days"
+export const bucketsBefore = (date, granularity, tz, n) => {
+  const wall = truncate(date, granularity, tz);
+  if (granularity === 'hour') return new Date(fromWallClock(wall, tz).getTime() - n * HOUR_MS);
+  return fromWallClock({ ...wall, day: wall.day - n * (granularity === 'week' ? 7 : 1) }, tz);
+};
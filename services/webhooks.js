@@ -0,0 +1,127 @@
+import { createHmac, randomBytes } from 'crypto';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { ALERT_EVENTS, onAlertEvent } from './alertEvents.js';
+
+// 6 attempts, so five waits between them: 30s, 2m, 8m, 32m, 128m — close to 3 hours in all, long enough
+// to ride out a receiver deploy or a short outage
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// how long a claimed delivery stays invisible to other retry ticks — comfortably longer than one request
+const CLAIM_LEASE_MS = 60 * 1000;
+
+export const generateSecret = () => randomBytes(32).toString('hex');
+
+// signature covers the timestamp as well as the body so a captured request can't be replayed later —
+// receivers recompute hmac_sha256(secret, `${timestamp}.${body}`) and compare
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const backoffMs = (attempts) => BACKOFF_BASE_MS * 4 ** (attempts - 1);
+
+export const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret').lean();
+
+  // subscription deleted or paused since the event fired — stop retrying, there's nobody to deliver to
+  if (!subscription || !subscription.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', lastError: 'subscription removed or inactive' } }
+    );
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    responseStatus = res.status;
+    if (!res.ok) error = `receiver responded with ${res.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'delivered', attempts, responseStatus, lastError: null, deliveredAt: new Date() } }
+    );
+    return;
+  }
+
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        responseStatus,
+        lastError: error,
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffMs(attempts)),
+      },
+    }
+  );
+
+  if (exhausted) console.error(`webhook delivery ${delivery._id} to ${subscription.url} failed after ${attempts} attempts: ${error}`);
+};
+
+// fans one lifecycle event out to every active subscription that asked for it
+const fanOut = async (alert, event) => {
+  const subscriptions = await WebhookSubscription.find({ active: true, events: event }, { _id: 1 }).lean();
+  if (subscriptions.length === 0) return;
+
+  const payload = JSON.stringify({ event, occurredAt: new Date().toISOString(), data: alert });
+
+  // inserted already claimed, so the retry worker leaves them alone while the first attempt is in flight
+  const claimedUntil = new Date(Date.now() + CLAIM_LEASE_MS);
+  const deliveries = await WebhookDelivery.insertMany(
+    subscriptions.map((s) => ({
+      subscription: s._id,
+      event,
+      alert: alert._id,
+      alertid: alert.alertid,
+      payload,
+      nextAttemptAt: claimedUntil,
+    }))
+  );
+
+  // first attempt goes out immediately; anything that fails is picked up by the retry worker once its backoff elapses
+  await Promise.all(deliveries.map((d) => attemptDelivery(d)));
+};
+
+// called by the retry worker — claims each due row by pushing its nextAttemptAt forward first,
+// so two overlapping ticks (or two processes) never send the same delivery at the same time
+export const retryDueDeliveries = async () => {
+  for (;;) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    ).lean();
+
+    if (!delivery) return;
+    await attemptDelivery(delivery);
+  }
+};
+
+export const startWebhooks = () => {
+  Object.values(ALERT_EVENTS).forEach((event) => onAlertEvent(event, fanOut));
+};
@@ -0,0 +1,115 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { startApp, tokenFor, query } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const id = String(new mongoose.Types.ObjectId());
+
+// the read transitionAlert makes, then its guarded write echoing back what was set
+const stubAlert = (current) => {
+  mock.method(Alert, 'findById', () => query({ _id: id, assignedTo: null, ...current }));
+  mock.method(Alert, 'findOneAndUpdate', async (_filter, update) => ({ _id: id, ...update.$set }));
+};
+const stubUser = (user) => mock.method(User, 'findOne', () => query(user));
+const update = () => Alert.findOneAndUpdate.mock.calls[0].arguments[1];
+
+test('acknowledging an unowned alert makes you its owner', async () => {
+  stubAlert({ status: 'ESCALATED' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/acknowledge`, { token: tokenFor('operator', 'ops@example.com') });
+
+  assert.equal(res.status, 200);
+  assert.equal(update().$set.assignedTo, 'ops@example.com');
+  assert.equal(update().$set.acknowledgedBy, 'ops@example.com');
+  assert.equal(update().$push.history.from, 'ESCALATED');
+});
+
+test('acknowledging a teammate\'s alert is refused rather than taking it over', async () => {
+  stubAlert({ status: 'ASSIGNED', assignedTo: 'lead@example.com' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/acknowledge`, { token: tokenFor('operator', 'ops@example.com') });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'alert is assigned to lead@example.com');
+  assert.equal(Alert.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('assign is for unowned alerts', async () => {
+  stubUser({ email: 'lead@example.com' });
+  stubAlert({ status: 'ACKNOWLEDGED', assignedTo: 'ops@example.com' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/assign`, { token: tokenFor('operator'), body: { assignee: 'lead@example.com' } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'alert is already assigned to ops@example.com, use reassign');
+});
+
+test('reassign is for owned ones', async () => {
+  stubUser({ email: 'lead@example.com' });
+  stubAlert({ status: 'OPEN' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/reassign`, { token: tokenFor('operator'), body: { assignee: 'lead@example.com' } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'alert is not assigned yet, use assign');
+});
+
+test('reassigning hands the alert over unacknowledged and says from whom', async () => {
+  stubUser({ email: 'lead@example.com' });
+  stubAlert({ status: 'ACKNOWLEDGED', assignedTo: 'ops@example.com' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/reassign`, {
+    token: tokenFor('operator'),
+    body: { assignee: ' Lead@Example.com ', note: 'shift change' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { email: 'lead@example.com' });
+  assert.equal(update().$set.status, 'ASSIGNED');
+  assert.equal(update().$set.acknowledgedBy, null);
+  assert.equal(update().$push.history.reason, 'ops@example.com → lead@example.com — shift change');
+});
+
+test('handing an escalated alert to someone new gives them the tier\'s full SLA', async () => {
+  stubUser({ email: 'lead@example.com' });
+  const enteredAt = new Date(Date.now() - 60 * 60 * 1000);
+  stubAlert({ status: 'ESCALATED', escalation: { rule: 'overspeed', level: 0, tier: 'L1', enteredAt, slaDueAt: enteredAt } });
+  const res = await app.request('PATCH', `/api/alerts/${id}/assign`, { token: tokenFor('operator'), body: { assignee: 'lead@example.com' } });
+
+  assert.equal(res.status, 200);
+  const { $set } = update();
+  assert.equal($set['escalation.slaDueAt'] - $set['escalation.enteredAt'], 15 * 60 * 1000);
+  assert.ok($set['escalation.enteredAt'] > enteredAt);
+});
+
+test('the assignee has to be a known user', async () => {
+  stubUser(null);
+  stubAlert({ status: 'OPEN' });
+  const token = tokenFor('operator');
+
+  assert.equal((await app.request('PATCH', `/api/alerts/${id}/assign`, { token, body: {} })).status, 400);
+  const res = await app.request('PATCH', `/api/alerts/${id}/assign`, { token, body: { assignee: 'ghost@example.com' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'assignee is not a known user');
+  assert.equal(Alert.findById.mock.callCount(), 0);
+});
+
+test('a deactivated user cannot be given alerts, but one that predates the active field can', async () => {
+  stubAlert({ status: 'OPEN' });
+  const token = tokenFor('operator');
+
+  stubUser({ email: 'gone@example.com', active: false });
+  const refused = await app.request('PATCH', `/api/alerts/${id}/assign`, { token, body: { assignee: 'gone@example.com' } });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.error, 'assignee is deactivated');
+
+  User.findOne.mock.restore();
+  stubUser({ email: 'old@example.com' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/assign`, { token, body: { assignee: 'old@example.com' } });
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,104 @@
+import { test, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Alert from '../models/Alert.js';
+import SuppressionWindow from '../models/SuppressionWindow.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { startApp, tokenFor, query } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+// no rule matches this source type, so after the insert the only lookup ingest makes is the suppression check
+const item = (alertid) => ({ alertid, sourceType: 'door_ajar', severity: 'low', timestamp: '2026-10-19T10:00:00Z' });
+
+beforeEach(() => {
+  mock.method(SuppressionWindow, 'find', () => query([]));
+});
+
+// what insertMany({ ordered: false }) throws when some rows hit the unique index and the rest landed
+const partialInsertError = (docs, failedAlertIds) => {
+  const failed = docs.filter((d) => failedAlertIds.includes(d.alertid));
+  return Object.assign(new Error('E11000 duplicate key error'), {
+    insertedDocs: docs.filter((d) => !failed.includes(d)),
+    writeErrors: failed.map((d) => ({ code: 11000, getOperation: () => d })),
+  });
+};
+
+test('each item gets an outcome at its own index, and the summary counts them', async () => {
+  mock.method(Alert, 'find', () => query([{ alertid: 'A-2' }]));
+  mock.method(Alert, 'insertMany', async (docs) => docs);
+
+  const res = await app.request('POST', '/api/alerts/bulk', {
+    token: tokenFor('admin'),
+    body: [item('A-1'), item('A-2'), { alertid: 'A-3' }, item('A-1')],
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, { created: 1, duplicate: 2, invalid: 1 });
+  assert.deepEqual(res.body.results.map((r) => [r.index, r.alertid, r.outcome]), [
+    [0, 'A-1', 'created'],
+    [1, 'A-2', 'duplicate'],
+    [2, 'A-3', 'invalid'],
+    [3, 'A-1', 'duplicate'],
+  ]);
+  assert.equal(res.body.results[0].status, 'OPEN');
+  assert.deepEqual(res.body.results[2].details.map((d) => d.path), ['sourceType', 'severity', 'timestamp']);
+  // only the one new alert reaches the database
+  assert.deepEqual(Alert.insertMany.mock.calls[0].arguments[0].map((a) => a.alertid), ['A-1']);
+  assert.deepEqual(Alert.insertMany.mock.calls[0].arguments[1], { ordered: false });
+});
+
+test('a duplicate that races in between the lookup and the insert fails only its own row', async () => {
+  mock.method(Alert, 'find', () => query([]));
+  mock.method(Alert, 'insertMany', async (docs) => {
+    throw partialInsertError(docs, ['B-2']);
+  });
+
+  const res = await app.request('POST', '/api/alerts/bulk', {
+    token: tokenFor('admin'),
+    body: [item('B-1'), item('B-2'), item('B-3')],
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, { created: 2, duplicate: 1, invalid: 0 });
+  assert.deepEqual(res.body.results.map((r) => r.outcome), ['created', 'duplicate', 'created']);
+  assert.equal(res.body.results[1].reason, 'alert with this alertid already exists');
+});
+
+test('ndjson is split per line, and a line that is not json only fails itself', async () => {
+  mock.method(Alert, 'find', () => query([]));
+  mock.method(Alert, 'insertMany', async (docs) => docs);
+
+  const res = await app.request('POST', '/api/alerts/bulk', {
+    token: tokenFor('admin'),
+    headers: { 'Content-Type': 'application/x-ndjson' },
+    raw: `${JSON.stringify(item('C-1'))}\n{not json\n\n${JSON.stringify(item('C-2'))}\n`,
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map((r) => r.outcome), ['created', 'invalid', 'created']);
+  assert.equal(res.body.results[1].reason, 'line is not valid json');
+});
+
+test('an insert failure that is not about duplicates fails the request', async () => {
+  mock.method(Alert, 'find', () => query([]));
+  mock.method(Alert, 'insertMany', async () => {
+    throw new Error('connection reset');
+  });
+  mock.method(console, 'error', () => {});
+
+  const res = await app.request('POST', '/api/alerts/bulk', { token: tokenFor('admin'), body: [item('D-1')] });
+  assert.equal(res.status, 500);
+});
+
+test('empty and oversized batches are refused up front', async () => {
+  const token = tokenFor('admin');
+  assert.equal((await app.request('POST', '/api/alerts/bulk', { token, body: [] })).status, 400);
+  assert.equal((await app.request('POST', '/api/alerts/bulk', { token, body: { alertid: 'E-1' } })).status, 400);
+  const tooMany = Array.from({ length: 1001 }, (_, i) => item(`E-${i}`));
+  assert.equal((await app.request('POST', '/api/alerts/bulk', { token, body: tooMany })).status, 413);
+});
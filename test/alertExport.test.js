@@ -0,0 +1,124 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Alert from '../models/Alert.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { exportColumns, toRow, csvHeader, formatRow, MAX_METADATA_COLUMNS } from '../services/alertExport.js';
+import { startApp, tokenFor } from './helpers.js';
+
+const alert = {
+  _id: 'a1',
+  alertid: 'ALT-1',
+  sourceType: 'overspeed',
+  severity: 'high',
+  status: 'ESCALATED',
+  timestamp: new Date('2026-10-19T10:00:00Z'),
+  escalation: { tier: 'L2' },
+  suppressedBy: null,
+  metadata: { driverId: 'D7', note: 'said "slow down",\nthen left', formula: '=HYPERLINK("x")', tags: ['a', 'b'] },
+};
+
+test('metadata columns follow the fixed ones, once each, and missing keys export as null', () => {
+  const { columns } = exportColumns(['driverId', 'driverId', 'vehicleId']);
+  const row = toRow(alert, columns);
+  assert.deepEqual(Object.keys(row).slice(-2), ['metadata.driverId', 'metadata.vehicleId']);
+  assert.equal(row['metadata.driverId'], 'D7');
+  assert.equal(row['metadata.vehicleId'], null);
+  assert.equal(row.escalationTier, 'L2');
+  assert.equal(row.suppressed, false);
+  assert.equal(row.timestamp, '2026-10-19T10:00:00.000Z');
+});
+
+test('metadata column names are checked like the meta.<key> filter', () => {
+  assert.deepEqual(exportColumns(['a.b']), { error: 'invalid metadata column a.b' });
+  assert.ok(exportColumns(Array.from({ length: MAX_METADATA_COLUMNS + 1 }, (_, i) => `k${i}`)).error);
+});
+
+test('csv cells are quoted when needed and formulas are defused', () => {
+  const { columns } = exportColumns(['note', 'formula', 'tags']);
+  const line = formatRow('csv', toRow(alert, columns));
+  assert.ok(line.endsWith('\r\n'));
+  assert.ok(line.includes('"said ""slow down"",\nthen left"'));
+  assert.ok(line.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(line.includes('"[""a"",""b""]"'));
+  assert.ok(csvHeader(columns).startsWith('id,alertid,sourceType,'));
+});
+
+test('ndjson rows carry the same columns with their raw values', () => {
+  const { columns } = exportColumns(['formula']);
+  const line = formatRow('ndjson', toRow(alert, columns));
+  assert.ok(line.endsWith('\n'));
+  const parsed = JSON.parse(line);
+  assert.equal(parsed['metadata.formula'], '=HYPERLINK("x")');
+  assert.equal(parsed.reportedSeverity, null);
+});
+
+// the route: rows come off a stubbed db cursor one at a time, the way the controller streams them
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const stubCursor = (rows, { failAt = -1 } = {}) => {
+  const cursor = {
+    next: async () => {
+      if (failAt === 0) throw new Error('cursor died');
+      failAt--;
+      return rows.shift() ?? null;
+    },
+    close: async () => {},
+  };
+  mock.method(cursor, 'close');
+  mock.method(Alert, 'find', () => ({ sort: () => ({ lean: () => ({ cursor: () => cursor }) }) }));
+  return cursor;
+};
+
+test('csv export streams a header and one line per alert as an attachment', async () => {
+  const cursor = stubCursor([alert, { ...alert, _id: 'a2', alertid: 'ALT-2' }]);
+  const res = await app.request('GET', '/api/alerts/export?format=csv&metadata=driverId', { token: tokenFor('operator') });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /^attachment; filename="alerts-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const lines = res.text.trimEnd().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].endsWith(',metadata.driverId'));
+  assert.ok(lines[2].startsWith('a2,ALT-2,'));
+  assert.equal(cursor.close.mock.callCount(), 1);
+});
+
+test('the export takes the same filters as the alert list, without its paging', async () => {
+  stubCursor([]);
+  const res = await app.request('GET', '/api/alerts/export?format=ndjson&status=OPEN,ESCALATED&limit=5', { token: tokenFor('operator') });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.text, '');
+  const [filter, projection] = Alert.find.mock.calls[0].arguments;
+  assert.deepEqual(filter.status, { $in: ['OPEN', 'ESCALATED'] });
+  assert.deepEqual(projection, { history: 0 });
+});
+
+test('a query that fails before the first row still gets an error response', async () => {
+  const cursor = stubCursor([alert], { failAt: 0 });
+  mock.method(console, 'error', () => {});
+  const res = await app.request('GET', '/api/alerts/export', { token: tokenFor('operator') });
+
+  assert.equal(res.status, 500);
+  assert.equal(cursor.close.mock.callCount(), 1);
+});
+
+test('bad formats and columns are refused before any query runs', async () => {
+  stubCursor([]);
+  const token = tokenFor('operator');
+  assert.equal((await app.request('GET', '/api/alerts/export?format=xlsx', { token })).status, 400);
+  assert.equal((await app.request('GET', '/api/alerts/export?metadata=a.b', { token })).status, 400);
+  assert.equal(Alert.find.mock.callCount(), 0);
+});
+
+test('exporting needs the same view permission as listing', async () => {
+  stubCursor([alert]);
+  assert.equal((await app.request('GET', '/api/alerts/export')).status, 401);
+  assert.equal((await app.request('GET', '/api/alerts/export', { token: tokenFor('service') })).status, 403);
+  assert.equal(Alert.find.mock.callCount(), 0);
+});
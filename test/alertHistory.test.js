@@ -0,0 +1,58 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { historyEntry } from '../services/alertHistory.js';
+import { startApp, tokenFor } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const insertedAt = new Date('2025-01-01T00:00:00Z');
+const id = mongoose.Types.ObjectId.createFromTime(insertedAt.getTime() / 1000);
+
+const stubAlert = (history) =>
+  mock.method(Alert, 'findById', async () =>
+    new Alert({ _id: id, alertid: 'H-1', sourceType: 'overspeed', severity: 'high', timestamp: new Date(), history })
+  );
+
+test('an alert with its ingest entry gets its history back as written', async () => {
+  stubAlert([historyEntry({ to: 'OPEN', actor: 'ops@example.com', reason: 'ingested' })]);
+  const res = await app.request('GET', `/api/alerts/${id}/history`, { token: tokenFor('operator') });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.legacy, false);
+  assert.deepEqual(res.body.history.map((h) => h.reason), ['ingested']);
+});
+
+test('an alert stored before the audit log gets a creation entry from its insert time', async () => {
+  stubAlert([]);
+  const res = await app.request('GET', `/api/alerts/${id}/history`, { token: tokenFor('operator') });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.legacy, true);
+  const [created] = res.body.history;
+  assert.equal(created.status, 'OPEN');
+  assert.equal(created.at, insertedAt.toISOString());
+  assert.equal(created.synthesized, true);
+});
+
+test('a legacy alert touched since the log started keeps its real entries after the reconstructed one', async () => {
+  stubAlert([historyEntry({ from: 'OPEN', to: 'RESOLVED', actor: 'ops@example.com' })]);
+  const res = await app.request('GET', `/api/alerts/${id}/history`, { token: tokenFor('operator') });
+
+  assert.equal(res.body.legacy, true);
+  assert.deepEqual(res.body.history.map((h) => h.status), ['OPEN', 'RESOLVED']);
+  assert.equal(res.body.history[1].synthesized, undefined);
+});
+
+test('an unknown alert is a 404', async () => {
+  mock.method(Alert, 'findById', async () => null);
+  const res = await app.request('GET', `/api/alerts/${id}/history`, { token: tokenFor('operator') });
+  assert.equal(res.status, 404);
+});
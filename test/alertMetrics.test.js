@@ -0,0 +1,79 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Alert from '../models/Alert.js';
+import { computeMetrics } from '../services/alertMetrics.js';
+import { evaluate } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const FROM = new Date('2026-10-12T00:00:00Z');
+const TO = new Date('2026-10-19T00:00:00Z');
+const at = (minutes) => new Date(FROM.getTime() + minutes * 60 * 1000);
+
+// the facet query first, then the backlog — both answered empty, the pipelines are what's under test
+const stubAggregate = () => {
+  const calls = [];
+  mock.method(Alert, 'aggregate', async (pipeline) => {
+    calls.push(pipeline);
+    return calls.length === 1 ? [{ tta: [], ttr: [], bySourceType: [], closures: [] }] : [];
+  });
+  return calls;
+};
+
+const projected = async (alert) => {
+  const calls = stubAggregate();
+  await computeMetrics(FROM, TO);
+  const { $project } = calls[0].find((s) => s.$project);
+  return Object.fromEntries(Object.entries($project).filter(([, e]) => e !== 1).map(([k, e]) => [k, evaluate(e, alert)]));
+};
+
+test('time to acknowledge stops at the first ACKNOWLEDGED entry, not at an assignment', async () => {
+  const alert = {
+    status: 'RESOLVED',
+    history: [
+      { status: 'OPEN', at: at(0) },
+      { status: 'ASSIGNED', at: at(5) },
+      { status: 'ACKNOWLEDGED', at: at(20) },
+      { status: 'RESOLVED', at: at(60) },
+    ],
+  };
+  const { ingestedAt, acknowledgedAt, resolvedAt } = await projected(alert);
+  assert.deepEqual(ingestedAt, at(0));
+  assert.deepEqual(acknowledgedAt, at(20));
+  assert.deepEqual(resolvedAt, at(60));
+});
+
+test('an alert that was assigned and resolved but never acknowledged has no acknowledgement to time', async () => {
+  const alert = {
+    status: 'RESOLVED',
+    history: [
+      { status: 'OPEN', at: at(0) },
+      { status: 'ASSIGNED', at: at(5) },
+      { status: 'RESOLVED', at: at(30) },
+    ],
+  };
+  assert.equal((await projected(alert)).acknowledgedAt, null);
+});
+
+test('a reopened alert is not resolved yet, whatever its history says', async () => {
+  const alert = {
+    status: 'OPEN',
+    history: [
+      { status: 'OPEN', at: at(0) },
+      { status: 'RESOLVED', at: at(30) },
+      { status: 'OPEN', at: at(40) },
+    ],
+  };
+  assert.equal((await projected(alert)).resolvedAt, null);
+});
+
+test('durations are reported in seconds with nearest-rank percentiles', async () => {
+  mock.method(Alert, 'aggregate', async (pipeline) =>
+    pipeline.some((s) => s.$facet)
+      ? [{ tta: [60, 120, 180, 240].map((s) => ({ ms: s * 1000 })), ttr: [], bySourceType: [], closures: [] }]
+      : []
+  );
+  const metrics = await computeMetrics(FROM, TO);
+  assert.deepEqual(metrics.timeToAcknowledge, { count: 4, mean: 150, median: 120, p90: 240 });
+  assert.deepEqual(metrics.timeToResolve, { count: 0, mean: null, median: null, p90: null });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildAlertQuery, encodeCursor, listParam, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../services/alertQuery.js';
+
+const lastRow = { _id: new mongoose.Types.ObjectId(), timestamp: new Date('2026-10-19T10:00:00Z') };
+
+test('listParam accepts comma lists and repeated params alike', () => {
+  assert.deepEqual(listParam('OPEN, ESCALATED'), ['OPEN', 'ESCALATED']);
+  assert.deepEqual(listParam(['OPEN', 'ESCALATED,RESOLVED']), ['OPEN', 'ESCALATED', 'RESOLVED']);
+  assert.deepEqual(listParam(undefined), []);
+  assert.deepEqual(listParam(',,'), []);
+});
+
+test('a cursor round-trips into a strictly-after condition on (timestamp, _id)', () => {
+  const { filter } = buildAlertQuery({ cursor: encodeCursor(lastRow) });
+  assert.deepEqual(filter.$or, [
+    { timestamp: { $lt: lastRow.timestamp } },
+    { timestamp: lastRow.timestamp, _id: { $lt: lastRow._id } },
+  ]);
+});
+
+test('the cursor condition combines with a since/until range instead of replacing it', () => {
+  const since = '2026-10-01T00:00:00Z';
+  const { filter } = buildAlertQuery({ since, cursor: encodeCursor(lastRow) });
+  assert.equal(filter.timestamp, undefined);
+  assert.equal(filter.$or, undefined);
+  assert.deepEqual(filter.$and[0], { timestamp: { $gte: new Date(since) } });
+  assert.equal(filter.$and[1].$or.length, 2);
+});
+
+test('tampered or malformed cursors are rejected', () => {
+  assert.deepEqual(buildAlertQuery({ cursor: 'not-a-cursor' }), { error: 'invalid cursor' });
+  const badId = Buffer.from(JSON.stringify({ t: '2026-10-19T10:00:00Z', id: 'nope' })).toString('base64url');
+  assert.deepEqual(buildAlertQuery({ cursor: badId }), { error: 'invalid cursor' });
+  const badDate = Buffer.from(JSON.stringify({ t: 'yesterday', id: String(lastRow._id) })).toString('base64url');
+  assert.deepEqual(buildAlertQuery({ cursor: badDate }), { error: 'invalid cursor' });
+});
+
+test('limit defaults, caps and rejects non-integers', () => {
+  assert.equal(buildAlertQuery({}).limit, DEFAULT_PAGE_SIZE);
+  assert.equal(buildAlertQuery({ limit: '10000' }).limit, MAX_PAGE_SIZE);
+  assert.ok(buildAlertQuery({ limit: '0' }).error);
+  assert.ok(buildAlertQuery({ limit: '2.5' }).error);
+});
+
+test('filters map onto the alert fields', () => {
+  const { filter } = buildAlertQuery({
+    status: 'OPEN,ESCALATED',
+    severity: 'high',
+    driverId: 'D1',
+    'meta.region': 'north',
+    suppressed: 'false',
+    q: 'ALT.1',
+  });
+  assert.deepEqual(filter.status, { $in: ['OPEN', 'ESCALATED'] });
+  assert.equal(filter.severity, 'high');
+  assert.equal(filter['metadata.driverId'], 'D1');
+  assert.equal(filter['metadata.region'], 'north');
+  assert.equal(filter.suppressedBy, null);
+  // regex metacharacters in the search text are matched literally
+  assert.deepEqual(filter.alertid, { $regex: 'ALT\\.1', $options: 'i' });
+});
+
+test('mine=true filters on the caller', () => {
+  assert.equal(buildAlertQuery({ mine: 'true' }, { email: 'ops@example.com' }).filter.assignedTo, 'ops@example.com');
+});
+
+test('metadata keys that could reach operators or nested paths are refused', () => {
+  assert.deepEqual(buildAlertQuery({ 'meta.$where': 'x' }), { error: 'invalid metadata filter meta.$where' });
+  assert.deepEqual(buildAlertQuery({ 'meta.a.b': 'x' }), { error: 'invalid metadata filter meta.a.b' });
+});
+
+test('bad dates and incident ids are refused', () => {
+  assert.deepEqual(buildAlertQuery({ since: 'soon' }), { error: 'invalid since date' });
+  assert.deepEqual(buildAlertQuery({ until: 'later' }), { error: 'invalid until date' });
+  assert.deepEqual(buildAlertQuery({ incident: '123' }), { error: 'invalid incident id' });
+});
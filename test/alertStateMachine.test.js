@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRANSITIONS, INITIAL_STATUS, canTransition, statesAllowing } from '../services/alertStateMachine.js';
+import Alert from '../models/Alert.js';
+
+test('every status the model allows has an entry in the transition table', () => {
+  const modelStatuses = Alert.schema.path('status').enumValues;
+  assert.deepEqual([...Object.keys(TRANSITIONS)].sort(), [...modelStatuses].sort());
+  assert.ok(modelStatuses.includes(INITIAL_STATUS));
+});
+
+test('every transition target is a known status', () => {
+  for (const targets of Object.values(TRANSITIONS)) {
+    for (const to of targets) assert.ok(to in TRANSITIONS, `${to} is not a status`);
+  }
+});
+
+test('closed states only lead back to OPEN', () => {
+  for (const closed of ['AUTO-CLOSED', 'RESOLVED']) {
+    assert.deepEqual(TRANSITIONS[closed], ['OPEN']);
+    assert.equal(canTransition(closed, 'RESOLVED'), false);
+  }
+});
+
+test('a worked alert is neither auto-closed nor re-escalated', () => {
+  for (const worked of ['ACKNOWLEDGED', 'ASSIGNED']) {
+    assert.equal(canTransition(worked, 'AUTO-CLOSED'), false);
+    assert.equal(canTransition(worked, 'ESCALATED'), false);
+  }
+});
+
+test('reassign is ASSIGNED to ASSIGNED, and unknown states allow nothing', () => {
+  assert.equal(canTransition('ASSIGNED', 'ASSIGNED'), true);
+  assert.equal(canTransition('ACKNOWLEDGED', 'ACKNOWLEDGED'), false);
+  assert.equal(canTransition('BOGUS', 'OPEN'), false);
+});
+
+test('statesAllowing inverts the table', () => {
+  assert.deepEqual(statesAllowing('AUTO-CLOSED').sort(), ['ESCALATED', 'OPEN']);
+  assert.deepEqual(statesAllowing('OPEN').sort(), ['AUTO-CLOSED', 'RESOLVED']);
+});
@@ -0,0 +1,101 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import { get as cacheGet, set as cacheSet, cacheKey, ALERT_CACHES } from '../services/cache.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { startApp, tokenFor, query } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const id = String(new mongoose.Types.ObjectId());
+
+// the read transitionAlert makes first, then its guarded write — null from the write means the filter missed
+const stubAlert = (current, written = { _id: id }) => {
+  mock.method(Alert, 'findById', () => query(current && { _id: id, assignedTo: null, escalation: null, ...current }));
+  mock.method(Alert, 'findOneAndUpdate', async (filter, update) => written && { ...written, status: update.$set.status });
+};
+const write = () => Alert.findOneAndUpdate.mock.calls[0]?.arguments;
+
+test('a transition the table does not allow is a 409 naming the current state', async () => {
+  stubAlert({ status: 'RESOLVED' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/acknowledge`, { token: tokenFor('operator') });
+
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body, { error: 'cannot move alert from RESOLVED to ACKNOWLEDGED', currentStatus: 'RESOLVED' });
+  assert.equal(Alert.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('resolving twice is refused rather than rewriting who resolved it', async () => {
+  stubAlert({ status: 'RESOLVED' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/resolve`, { token: tokenFor('operator') });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.currentStatus, 'RESOLVED');
+});
+
+test('the write only lands if the alert is still in the state that was checked', async () => {
+  stubAlert({ status: 'OPEN' }, null);
+  const res = await app.request('PATCH', `/api/alerts/${id}/resolve`, { token: tokenFor('operator') });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'alert changed concurrently, please retry');
+  const [filter] = write();
+  assert.deepEqual(filter, { _id: id, status: 'OPEN', assignedTo: null });
+});
+
+test('an unknown or malformed alert id', async () => {
+  stubAlert(null);
+  const token = tokenFor('operator');
+  assert.equal((await app.request('PATCH', `/api/alerts/${id}/resolve`, { token })).status, 404);
+
+  mock.method(Alert, 'findById', () => query(Promise.reject(Object.assign(new Error('cast'), { name: 'CastError' }))));
+  assert.equal((await app.request('PATCH', '/api/alerts/nope/resolve', { token })).status, 400);
+});
+
+test('reopen needs a reason', async () => {
+  stubAlert({ status: 'RESOLVED' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/reopen`, { token: tokenFor('operator'), body: { reason: '  ' } });
+  assert.equal(res.status, 400);
+  assert.equal(Alert.findById.mock.callCount(), 0);
+});
+
+test('reopen clears ownership, escalation and closure details, and records why', async () => {
+  stubAlert({ status: 'RESOLVED', assignedTo: 'ops@example.com' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/reopen`, {
+    token: tokenFor('operator', 'lead@example.com'),
+    body: { reason: 'driver disputed it' },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.alert.status, 'OPEN');
+  const [filter, update] = write();
+  assert.equal(filter.assignedTo, 'ops@example.com');
+  assert.equal(update.$set.assignedTo, null);
+  assert.equal(update.$set.escalation, null);
+  assert.ok('metadata.resolvedAt' in update.$unset);
+  assert.equal(update.$push.history.from, 'RESOLVED');
+  assert.equal(update.$push.history.actor, 'lead@example.com');
+  assert.equal(update.$push.history.reason, 'reopened: driver disputed it');
+});
+
+test('only closed alerts can be reopened', async () => {
+  stubAlert({ status: 'ESCALATED' });
+  const res = await app.request('PATCH', `/api/alerts/${id}/reopen`, { token: tokenFor('operator'), body: { reason: 'x' } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'cannot move alert from ESCALATED to OPEN');
+});
+
+test('a status change drops every cached aggregate, metrics included', async () => {
+  const keys = ALERT_CACHES.map((namespace) => cacheKey(namespace, { from: '2026-10-01' }));
+  for (const key of keys) await cacheSet(key, { stale: true });
+  stubAlert({ status: 'OPEN' });
+
+  const res = await app.request('PATCH', `/api/alerts/${id}/resolve`, { token: tokenFor('operator') });
+  assert.equal(res.status, 200);
+  for (const key of keys) assert.equal(await cacheGet(key), null);
+});
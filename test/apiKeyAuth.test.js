@@ -0,0 +1,73 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import ApiKey from '../models/ApiKey.js';
+import SuppressionWindow from '../models/SuppressionWindow.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { generateApiKey, hashApiKey } from '../services/apiKeys.js';
+import { startApp, query } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const { key } = generateApiKey();
+const alert = { alertid: 'K-1', sourceType: 'door_ajar', severity: 'low', timestamp: '2026-10-19T10:00:00Z' };
+
+// the stored key, found by hash — only a live one, since the lookup filters on revokedAt: null
+const stubKey = (found) => {
+  mock.method(ApiKey, 'findOne', () => query(found && { _id: new mongoose.Types.ObjectId(), name: 'gateway', prefix: 'mis_abcdef', ...found }));
+  mock.method(ApiKey, 'updateOne', async () => ({ modifiedCount: 1 }));
+};
+
+const stubSave = () => {
+  mock.method(Alert.prototype, 'save', async function () {
+    return this;
+  });
+  mock.method(SuppressionWindow, 'find', () => query([]));
+};
+
+test('a key in X-API-Key authenticates as a service account that may ingest', async () => {
+  stubKey({ sourceTypes: [] });
+  stubSave();
+
+  const res = await app.request('POST', '/api/alerts', { headers: { 'X-API-Key': key }, body: alert });
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(ApiKey.findOne.mock.calls[0].arguments[0], { keyHash: hashApiKey(key), revokedAt: null });
+  const [saved] = Alert.prototype.save.mock.calls.map((c) => c.this);
+  assert.equal(saved.history[0].actor, 'apikey:gateway');
+});
+
+test('the same key works as a bearer token', async () => {
+  stubKey({ sourceTypes: [] });
+  stubSave();
+  const res = await app.request('POST', '/api/alerts', { token: key, body: alert });
+  assert.equal(res.status, 201);
+});
+
+test('an unknown or revoked key is refused without saying which', async () => {
+  stubKey(null);
+  const res = await app.request('POST', '/api/alerts', { headers: { 'X-API-Key': key }, body: alert });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'invalid api key');
+});
+
+test('a service account can only ingest, not read alerts back', async () => {
+  stubKey({ sourceTypes: [] });
+  const res = await app.request('GET', '/api/alerts', { headers: { 'X-API-Key': key } });
+  assert.equal(res.status, 403);
+});
+
+test('a key restricted to some source types may not send others', async () => {
+  stubKey({ sourceTypes: ['overspeed'] });
+  stubSave();
+  const res = await app.request('POST', '/api/alerts', { headers: { 'X-API-Key': key }, body: alert });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, 'this api key may not ingest door_ajar alerts');
+  assert.equal(Alert.prototype.save.mock.callCount(), 0);
+});
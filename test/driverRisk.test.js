@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Alert from '../models/Alert.js';
+import { driverLeaderboard, driverProfile, riskScoringConfig } from '../services/driverRisk.js';
+import { listBuckets } from '../services/timeBuckets.js';
+import { evaluate } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const FROM = new Date(NOW.getTime() - 30 * DAY_MS);
+
+// captures the pipeline and answers with fixed rows
+const stubAggregate = (rows) => {
+  const calls = [];
+  mock.method(Alert, 'aggregate', async (pipeline) => {
+    calls.push(pipeline);
+    return rows;
+  });
+  return calls;
+};
+
+const scoreOf = (pipeline, alert) => evaluate(pipeline.find((s) => s.$group).$group.riskScore.$sum, alert);
+
+test('the score is (severity × sourceType weight + escalation weight) halved every half-life', async () => {
+  const calls = stubAggregate([]);
+  await driverLeaderboard({ from: FROM, to: NOW, limit: 5, now: NOW });
+  const [group] = calls;
+  const { severity_weights, source_type_weights, escalation_weight, half_life_days } = riskScoringConfig();
+
+  const fresh = { severity: 'critical', sourceType: 'compliance', timestamp: NOW, history: [{ status: 'OPEN' }] };
+  assert.equal(scoreOf(group, fresh), severity_weights.critical * source_type_weights.compliance);
+
+  const escalated = { ...fresh, history: [{ status: 'OPEN' }, { status: 'ESCALATED' }, { status: 'ACKNOWLEDGED' }] };
+  assert.equal(scoreOf(group, escalated), severity_weights.critical * source_type_weights.compliance + escalation_weight);
+
+  const halfLifeAgo = { ...fresh, timestamp: new Date(NOW.getTime() - half_life_days * DAY_MS) };
+  assert.equal(scoreOf(group, halfLifeAgo), scoreOf(group, fresh) / 2);
+
+  // unlisted source types and severities weigh 1; alerts dated after `now` don't grow past full weight
+  const unknown = { severity: 'weird', sourceType: 'harsh_braking', timestamp: new Date(NOW.getTime() + DAY_MS) };
+  assert.equal(scoreOf(group, unknown), 1);
+});
+
+test('the leaderboard leaves out suppressed alerts and alerts without a driver, and rounds scores', async () => {
+  const calls = stubAggregate([{ _id: 'D7', riskScore: 12.3456, alerts: 4, escalated: 1, lastAlertAt: NOW }]);
+  const drivers = await driverLeaderboard({ from: FROM, to: NOW, limit: 5, now: NOW });
+
+  const { $match } = calls[0][0];
+  assert.equal($match.suppressedBy, null);
+  assert.deepEqual($match['metadata.driverId'], { $exists: true, $ne: null });
+  assert.deepEqual($match.timestamp, { $gte: FROM, $lt: NOW });
+  assert.deepEqual(calls[0].at(-1), { $limit: 5 });
+
+  assert.deepEqual(drivers, [{ driverId: 'D7', riskScore: 12.35, alerts: 4, escalated: 1, lastAlertAt: NOW }]);
+});
+
+test('an unknown driver has no profile', async () => {
+  mock.method(Alert, 'exists', async () => null);
+  const calls = stubAggregate([]);
+  assert.equal(await driverProfile('nobody', { from: FROM, to: NOW, tz: 'UTC', buckets: [], recentLimit: 50 }), null);
+  assert.equal(calls.length, 0);
+});
+
+test('a profile zero-fills its daily trend and lists severities most severe first', async () => {
+  mock.method(Alert, 'exists', async () => ({ _id: 'x' }));
+  const from = new Date('2026-10-17T00:00:00Z');
+  const buckets = listBuckets(from, NOW, 'day', 'UTC', 10);
+  stubAggregate([
+    {
+      totals: [{ alerts: 3, escalated: 1, riskScore: 9.999, firstAlertAt: from, lastAlertAt: NOW }],
+      bySourceType: [{ _id: 'overspeed', count: 3 }],
+      bySeverity: [{ _id: 'low', count: 1 }, { _id: 'critical', count: 2 }],
+      trend: [{ _id: new Date('2026-10-18T00:00:00Z'), total: 3, escalated: 1 }],
+      recentAlerts: [],
+    },
+  ]);
+
+  const profile = await driverProfile('D7', { from, to: NOW, tz: 'UTC', buckets, recentLimit: 50, now: NOW });
+  assert.equal(profile.riskScore, 10);
+  assert.deepEqual(profile.bySeverity.map((s) => s.severity), ['critical', 'low']);
+  assert.deepEqual(profile.trend, [
+    { date: '2026-10-17', total: 0, escalated: 0 },
+    { date: '2026-10-18', total: 3, escalated: 1 },
+    { date: '2026-10-19', total: 0, escalated: 0 },
+  ]);
+});
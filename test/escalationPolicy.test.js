@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTier, nextTier, restartTierClock } from '../services/escalationPolicy.js';
+
+const TIERS = [{ name: 'L1', sla_mins: 15 }, { name: 'L2', sla_mins: 30 }, { name: 'L3' }];
+const AT = new Date('2026-10-19T10:00:00Z');
+
+test('enterTier sets the deadline from the tier SLA', () => {
+  assert.deepEqual(enterTier('overspeed', TIERS, 1, AT), {
+    rule: 'overspeed',
+    level: 1,
+    tier: 'L2',
+    enteredAt: AT,
+    slaDueAt: new Date('2026-10-19T10:30:00Z'),
+    breachedAt: null,
+  });
+});
+
+test('a tier without sla_mins has no deadline', () => {
+  assert.equal(enterTier('overspeed', TIERS, 2, AT).slaDueAt, null);
+});
+
+test('nextTier walks the list and stops at the top', () => {
+  assert.equal(nextTier(TIERS, 0).name, 'L2');
+  assert.equal(nextTier(TIERS, 2), null);
+  assert.equal(nextTier(undefined, 0), null);
+});
+
+test('restartTierClock gives the current tier its full SLA again and clears a breach', () => {
+  const escalation = { ...enterTier('overspeed', TIERS, 0, new Date('2026-10-19T08:00:00Z')), breachedAt: new Date() };
+  assert.deepEqual(restartTierClock(escalation, TIERS, AT), {
+    'escalation.enteredAt': AT,
+    'escalation.slaDueAt': new Date('2026-10-19T10:15:00Z'),
+    'escalation.breachedAt': null,
+  });
+});
+
+test('restartTierClock leaves alerts outside a tier alone', () => {
+  assert.deepEqual(restartTierClock(null, TIERS, AT), {});
+  // the rule lost its tiers since the alert escalated
+  assert.deepEqual(restartTierClock({ level: 0 }, undefined, AT), {});
+  assert.deepEqual(restartTierClock({ level: 5 }, TIERS, AT), {});
+});
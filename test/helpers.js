@@ -0,0 +1,108 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { mock } from 'node:test';
+import Session from '../models/Session.js';
+
+// shared by the route tests — no database and no server.js (it connects to mongo on import), just the
+// router under test mounted on a bare app, with the model calls it makes stubbed per test
+
+process.env.JWT_SECRET = 'test-secret';
+
+// mounts one router the way server.js does and listens on a free port. close() when the test file is done
+export const startApp = async (path, router) => {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  app.use(path, router);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, headers = {}, body, raw } = {}) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // csv, ndjson and the like — the caller reads text instead
+    }
+    return { status: res.status, headers: res.headers, text, body: json };
+  };
+
+  // base is there for callers that need the raw response, like a stream that never ends on its own
+  return { base, request, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// an access token for a live session — the session lookup authenticate makes is stubbed to find it
+export const tokenFor = (role, email = `${role}@example.com`) => {
+  const sid = String(new mongoose.Types.ObjectId());
+  mock.method(Session, 'findById', () => ({ lean: async () => ({ _id: sid, revokedAt: null }) }));
+  return jwt.sign({ userId: String(new mongoose.Types.ObjectId()), email, role, sid }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+  });
+};
+
+// stands in for a mongoose query: every chained call returns the same object, and awaiting it gives `result`
+export const query = (result) => {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const name of ['sort', 'limit', 'lean', 'select', 'populate', 'skip']) q[name] = () => q;
+  return q;
+};
+
+// just enough of mongo's expression language to run an aggregation expression against one document in memory,
+// so a formula is checked as written rather than re-implemented in the test
+export const evaluate = (expr, doc, vars = {}) => {
+  const ev = (e) => evaluate(e, doc, vars);
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...path] = expr.slice(2).split('.');
+    return path.reduce((v, k) => v?.[k], vars[name]);
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    const path = expr.slice(1).split('.');
+    // a path through an array maps over it, like mongo's '$history.status'
+    const walk = (v, keys) => {
+      if (keys.length === 0 || v == null) return v;
+      return Array.isArray(v) ? v.map((x) => walk(x, keys)) : walk(v[keys[0]], keys.slice(1));
+    };
+    return walk(doc, path);
+  }
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date || Array.isArray(expr)) {
+    return Array.isArray(expr) ? expr.map(ev) : expr;
+  }
+  const [[op, arg]] = Object.entries(expr);
+  const args = () => arg.map(ev);
+  const num = (v) => (v instanceof Date ? v.getTime() : v);
+  switch (op) {
+    case '$multiply': return args().reduce((a, b) => a * b, 1);
+    case '$add': return args().reduce((a, b) => a + b, 0);
+    case '$subtract': { const [a, b] = args().map(num); return a - b; }
+    case '$divide': { const [a, b] = args(); return a / b; }
+    case '$pow': { const [a, b] = args(); return a ** b; }
+    // both take a list of expressions or one expression giving an array, and skip nulls like mongo does
+    case '$max': return [ev(arg)].flat().filter((v) => v != null).sort((a, b) => num(b) - num(a))[0] ?? null;
+    case '$min': return [ev(arg)].flat().filter((v) => v != null).sort((a, b) => num(a) - num(b))[0] ?? null;
+    case '$first': return ev(arg)?.[0] ?? null;
+    case '$eq': { const [a, b] = args(); return a === b; }
+    case '$gt': { const [a, b] = args(); return a > b; }
+    case '$in': { const [a, b] = args(); return b.includes(a); }
+    case '$size': return ev(arg).length;
+    case '$ifNull': { const [a, b] = args(); return a ?? b; }
+    case '$cond': { const [c, a, b] = arg; return ev(c) ? ev(a) : ev(b); }
+    case '$switch': return ev(arg.branches.find((b) => ev(b.case))?.then ?? arg.default);
+    case '$filter': return ev(arg.input).filter((x) => evaluate(arg.cond, doc, { ...vars, this: x }));
+    case '$map': return ev(arg.input).map((x) => evaluate(arg.in, doc, { ...vars, this: x }));
+    default: throw new Error(`evaluate: unsupported ${op}`);
+  }
+};
@@ -0,0 +1,43 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasPermission, PERMISSIONS } from '../middleware/permissions.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import authRoutes from '../routes/authRoutes.js';
+import { startApp, tokenFor } from './helpers.js';
+
+let alerts;
+let auth;
+before(async () => {
+  alerts = await startApp('/api/alerts', alertRoutes);
+  auth = await startApp('/api/auth', authRoutes);
+});
+after(() => Promise.all([alerts.close(), auth.close()]));
+afterEach(() => mock.restoreAll());
+
+test('admins hold every capability, operators only work the queue', () => {
+  for (const permission of Object.values(PERMISSIONS)) assert.equal(hasPermission('admin', permission), true);
+  assert.equal(hasPermission('operator', PERMISSIONS.RESOLVE), true);
+  assert.equal(hasPermission('operator', PERMISSIONS.INGEST), false);
+  assert.equal(hasPermission('operator', PERMISSIONS.MANAGE_RULES), false);
+  assert.equal(hasPermission('intern', PERMISSIONS.VIEW), false);
+});
+
+test('an operator cannot ingest alerts or register users', async () => {
+  const token = tokenFor('operator');
+  const ingest = await alerts.request('POST', '/api/alerts', { token, body: {} });
+  assert.equal(ingest.status, 403);
+  assert.equal(ingest.body.error, 'insufficient permissions');
+
+  const register = await auth.request('POST', '/api/auth/register', { token, body: { email: 'x@example.com', password: 'secret123' } });
+  assert.equal(register.status, 403);
+});
+
+test('a role the table does not know gets nothing, even with a valid token', async () => {
+  const res = await alerts.request('GET', '/api/alerts/summary', { token: tokenFor('intern') });
+  assert.equal(res.status, 403);
+});
+
+test('no token is a 401 before permissions are even looked at', async () => {
+  const res = await alerts.request('POST', '/api/alerts', { body: {} });
+  assert.equal(res.status, 401);
+});
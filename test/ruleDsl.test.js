@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  severityRank,
+  matchesPredicate,
+  matchesMetadata,
+  matchesAlert,
+  matchToFilter,
+  ruleMatch,
+  autoClosePredicates,
+  rulesForAlert,
+} from '../services/ruleDsl.js';
+
+test('severityRank orders the canonical scale and puts unknown values below it', () => {
+  assert.ok(severityRank('critical') > severityRank('high'));
+  assert.ok(severityRank('info') > severityRank('bogus'));
+});
+
+test('matchesPredicate treats a literal as equality', () => {
+  assert.equal(matchesPredicate('north', 'north'), true);
+  assert.equal(matchesPredicate('north', 'south'), false);
+  assert.equal(matchesPredicate(true, 'true'), false); // no type coercion
+});
+
+test('matchesPredicate applies every operator in an operator object', () => {
+  assert.equal(matchesPredicate({ $gte: 100, $lt: 120 }, 110), true);
+  assert.equal(matchesPredicate({ $gte: 100, $lt: 120 }, 120), false);
+  assert.equal(matchesPredicate({ $in: ['a', 'b'] }, 'b'), true);
+  assert.equal(matchesPredicate({ $nin: ['a', 'b'] }, 'b'), false);
+  assert.equal(matchesPredicate({ $ne: 'x' }, undefined), true);
+  assert.equal(matchesPredicate({ $exists: false }, undefined), true);
+  assert.equal(matchesPredicate({ $exists: true }, undefined), false);
+});
+
+test('matchesMetadata needs every key, and tolerates missing metadata', () => {
+  assert.equal(matchesMetadata({ speed: { $gt: 80 }, zone: 'school' }, { speed: 90, zone: 'school' }), true);
+  assert.equal(matchesMetadata({ speed: { $gt: 80 }, zone: 'school' }, { speed: 90, zone: 'highway' }), false);
+  assert.equal(matchesMetadata({ speed: { $gt: 80 } }, null), false);
+  assert.equal(matchesMetadata(undefined, { speed: 90 }), true);
+});
+
+test('matchesAlert accepts a string or a list for sourceType and severity', () => {
+  const alert = { sourceType: 'overspeed', severity: 'high', metadata: { speed: 95 } };
+  assert.equal(matchesAlert({ sourceType: 'overspeed' }, alert), true);
+  assert.equal(matchesAlert({ sourceType: ['compliance', 'overspeed'], severity: ['high'] }, alert), true);
+  assert.equal(matchesAlert({ severity: 'low' }, alert), false);
+  assert.equal(matchesAlert({ sourceType: 'overspeed', metadata: { speed: { $gte: 100 } } }, alert), false);
+});
+
+test('matchToFilter produces the equivalent mongo filter', () => {
+  assert.deepEqual(matchToFilter({ sourceType: ['a', 'b'], severity: 'high', metadata: { speed: { $gt: 80 } } }), {
+    sourceType: { $in: ['a', 'b'] },
+    severity: 'high',
+    'metadata.speed': { $gt: 80 },
+  });
+  assert.deepEqual(matchToFilter({}), {});
+});
+
+test('a rule without a match block matches on its own name as the sourceType', () => {
+  assert.deepEqual(ruleMatch('overspeed', { escalate_if_count: 3 }), { sourceType: 'overspeed' });
+  assert.deepEqual(ruleMatch('fast', { match: { severity: 'high' } }), { severity: 'high' });
+});
+
+test('autoClosePredicates prefers auto_close_when and expands the auto_close_if shorthand', () => {
+  assert.deepEqual(autoClosePredicates({ auto_close_when: { ok: true }, auto_close_if: 'other' }), { ok: true });
+  assert.deepEqual(autoClosePredicates({ auto_close_if: 'document_valid' }), { document_valid: true });
+  assert.equal(autoClosePredicates({}), null);
+});
+
+test('rulesForAlert returns matching rules in file order', () => {
+  const rules = {
+    overspeed: {},
+    any_high: { match: { severity: 'high' } },
+    compliance: {},
+  };
+  const names = rulesForAlert(rules, { sourceType: 'overspeed', severity: 'high' }).map(([name]) => name);
+  assert.deepEqual(names, ['overspeed', 'any_high']);
+});
@@ -0,0 +1,54 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RuleVersion from '../models/RuleVersion.js';
+import rulesRoutes from '../routes/rulesRoutes.js';
+import { startApp, tokenFor, query } from './helpers.js';
+
+// only the refusals are exercised here — an accepted update rewrites rules.json on disk
+
+let app;
+before(async () => {
+  app = await startApp('/api/rules', rulesRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const badRules = { overspeed: { escalate_if_count: 0, window_mins: 60 } };
+
+test('an update that fails the schema is refused with the field-level errors', async () => {
+  mock.method(RuleVersion, 'create', async () => assert.fail('nothing should be saved'));
+  const res = await app.request('PUT', '/api/rules/config', { token: tokenFor('admin'), body: { rules: badRules } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'invalid rules config');
+  assert.deepEqual(res.body.details, [{ path: 'overspeed.escalate_if_count', message: 'must be a positive integer' }]);
+});
+
+test('an update without a rules key is refused', async () => {
+  const res = await app.request('PUT', '/api/rules/config', { token: tokenFor('admin'), body: badRules.overspeed });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'rules is required');
+});
+
+test('rolling back to a version that no longer passes the schema is refused the same way', async () => {
+  mock.method(RuleVersion, 'findOne', () => query({ version: 3, rules: badRules }));
+  mock.method(RuleVersion, 'create', async () => assert.fail('nothing should be saved'));
+  const res = await app.request('POST', '/api/rules/versions/3/rollback', { token: tokenFor('admin') });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].path, 'overspeed.escalate_if_count');
+});
+
+test('rolling back to an unknown or malformed version', async () => {
+  mock.method(RuleVersion, 'findOne', () => query(null));
+  const token = tokenFor('admin');
+  assert.equal((await app.request('POST', '/api/rules/versions/99/rollback', { token })).status, 404);
+  assert.equal((await app.request('POST', '/api/rules/versions/latest/rollback', { token })).status, 400);
+});
+
+test('operators can neither read nor change the rules', async () => {
+  const token = tokenFor('operator');
+  assert.equal((await app.request('GET', '/api/rules/config', { token })).status, 403);
+  assert.equal((await app.request('PUT', '/api/rules/config', { token, body: { rules: badRules } })).status, 403);
+  assert.equal((await app.request('POST', '/api/rules/versions/1/rollback', { token })).status, 403);
+});
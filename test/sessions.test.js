@@ -0,0 +1,112 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { createSession, rotateSession, REUSE_HISTORY } from '../services/sessions.js';
+
+// no database here — the model calls sessions.js makes are stubbed, and each test checks what it asked for
+
+const hash = (token) => createHash('sha256').update(token).digest('hex');
+const sessionId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const operator = { _id: userId, email: 'ops@example.com', role: 'operator', active: true };
+
+// findOneAndUpdate answers in call order: the rotation first, then the reuse lookup if the rotation missed
+const stubSessions = ({ rotated = null, reused = null } = {}) => {
+  const answers = [rotated, reused];
+  mock.method(Session, 'findOneAndUpdate', async () => answers.shift());
+  mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+};
+const stubUser = (user) => mock.method(User, 'findById', () => ({ lean: async () => user }));
+const calls = (method) => method.mock.calls.map((c) => c.arguments);
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+afterEach(() => mock.restoreAll());
+
+test('createSession stores only the hash and ties the access token to the session', async () => {
+  mock.method(Session, 'create', async (doc) => ({ _id: sessionId, ...doc }));
+  const { token, refreshToken } = await createSession(operator);
+
+  const [[stored]] = calls(Session.create);
+  assert.equal(stored.tokenHash, hash(refreshToken));
+  assert.ok(!JSON.stringify(stored).includes(refreshToken));
+  const claims = jwt.verify(token, 'test-secret');
+  assert.equal(claims.sid, String(sessionId));
+  assert.equal(claims.role, 'operator');
+});
+
+test('a valid refresh token is swapped for a new pair', async () => {
+  stubSessions({ rotated: { _id: sessionId, user: userId } });
+  stubUser({ ...operator, role: 'admin' });
+
+  const result = await rotateSession('old-token');
+
+  const [[filter, update]] = calls(Session.findOneAndUpdate);
+  assert.equal(filter.tokenHash, hash('old-token'));
+  assert.equal(filter.revokedAt, null);
+  assert.equal(update.$set.tokenHash, hash(result.refreshToken));
+  assert.notEqual(result.refreshToken, 'old-token');
+  // the role is re-read, not carried over from the old token
+  assert.equal(jwt.verify(result.token, 'test-secret').role, 'admin');
+  assert.equal(jwt.verify(result.token, 'test-secret').sid, String(sessionId));
+});
+
+test('the rotated-away hash is remembered, up to REUSE_HISTORY of them', async () => {
+  stubSessions({ rotated: { _id: sessionId, user: userId } });
+  stubUser(operator);
+  await rotateSession('old-token');
+
+  const [[, update]] = calls(Session.findOneAndUpdate);
+  assert.deepEqual(update.$push.rotatedHashes, { $each: [hash('old-token')], $slice: -REUSE_HISTORY });
+});
+
+test('presenting a token that was already rotated away revokes the session', async () => {
+  stubSessions({ rotated: null, reused: { _id: sessionId } });
+  mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(await rotateSession('stolen-token'), { error: 'invalid refresh token' });
+
+  const [, [filter, update]] = calls(Session.findOneAndUpdate);
+  assert.deepEqual(filter, { rotatedHashes: hash('stolen-token'), revokedAt: null });
+  assert.equal(update.$set.revokedReason, 'refresh token reused');
+});
+
+test('an unknown token is refused without revoking anything', async () => {
+  stubSessions();
+  assert.deepEqual(await rotateSession('made-up'), { error: 'invalid refresh token' });
+  assert.equal(Session.updateOne.mock.callCount(), 0);
+});
+
+test('a refresh for a deactivated user revokes the session', async () => {
+  stubSessions({ rotated: { _id: sessionId, user: userId } });
+  stubUser({ ...operator, active: false });
+
+  assert.deepEqual(await rotateSession('old-token'), { error: 'invalid refresh token' });
+  const [[filter, update]] = calls(Session.updateOne);
+  assert.equal(filter._id, sessionId);
+  assert.equal(update.$set.revokedReason, 'user deactivated');
+});
+
+test('a user created before the active field existed can still refresh', async () => {
+  stubSessions({ rotated: { _id: sessionId, user: userId } });
+  const legacy = { ...operator };
+  delete legacy.active;
+  stubUser(legacy);
+
+  const result = await rotateSession('old-token');
+  assert.ok(result.token);
+  assert.equal(Session.updateOne.mock.callCount(), 0);
+});
+
+test('a refresh for a deleted user revokes the session', async () => {
+  stubSessions({ rotated: { _id: sessionId, user: userId } });
+  stubUser(null);
+
+  assert.deepEqual(await rotateSession('old-token'), { error: 'invalid refresh token' });
+  assert.equal(calls(Session.updateOne)[0][1].$set.revokedReason, 'user no longer exists');
+});
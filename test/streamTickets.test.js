@@ -0,0 +1,73 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import alertRoutes from '../routes/alertRoutes.js';
+import { startApp, tokenFor } from './helpers.js';
+
+let app;
+before(async () => {
+  app = await startApp('/api/alerts', alertRoutes);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+const ticketFor = async (role) => {
+  const res = await app.request('POST', '/api/alerts/stream/ticket', { token: tokenFor(role) });
+  assert.equal(res.status, 200);
+  return res.body.ticket;
+};
+
+// the stream never ends by itself, so only the status and headers are read before hanging up
+const openStream = async (query) => {
+  const controller = new AbortController();
+  const res = await fetch(`${app.base}/api/alerts/stream${query}`, { signal: controller.signal });
+  const { status, headers } = res;
+  if (status === 200) controller.abort();
+  else await res.text();
+  return { status, headers };
+};
+
+test('a ticket is short-lived and carries the caller it was issued to', async () => {
+  const res = await app.request('POST', '/api/alerts/stream/ticket', { token: tokenFor('operator', 'ops@example.com') });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.expiresIn, 30);
+  const claims = jwt.decode(res.body.ticket);
+  assert.equal(claims.email, 'ops@example.com');
+  assert.equal(claims.exp - claims.iat, 30);
+});
+
+test('a ticket opens the stream once', async () => {
+  const ticket = await ticketFor('operator');
+
+  const first = await openStream(`?ticket=${ticket}`);
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get('content-type'), /^text\/event-stream/);
+  assert.equal((await openStream(`?ticket=${ticket}`)).status, 401);
+});
+
+test('the stream refuses an access token in the url, and an api call refuses a ticket', async () => {
+  const token = tokenFor('operator');
+  assert.equal((await openStream(`?token=${token}`)).status, 401);
+
+  const ticket = await ticketFor('operator');
+  const res = await app.request('GET', '/api/alerts/summary', { token: ticket });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'invalid token');
+});
+
+test('an expired ticket, or one whose session was revoked since, is refused', async () => {
+  const { iat, exp, ...claims } = jwt.decode(await ticketFor('operator'));
+  const expired = jwt.sign({ ...claims, exp: iat - 1 }, process.env.JWT_SECRET);
+  assert.equal((await openStream(`?ticket=${expired}`)).status, 401);
+
+  const ticket = await ticketFor('operator');
+  mock.method(Session, 'findById', () => ({ lean: async () => ({ revokedAt: new Date() }) }));
+  assert.equal((await openStream(`?ticket=${ticket}`)).status, 401);
+});
+
+test('getting a ticket needs the same view permission as the stream', async () => {
+  assert.equal((await app.request('POST', '/api/alerts/stream/ticket')).status, 401);
+  assert.equal((await app.request('POST', '/api/alerts/stream/ticket', { token: tokenFor('service') })).status, 403);
+});
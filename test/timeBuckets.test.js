@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, listBuckets, bucketsBefore, bucketStartExpr } from '../services/timeBuckets.js';
+
+const labels = (buckets) => buckets.map((b) => b.label);
+
+test('isValidTimeZone accepts iana names only', () => {
+  assert.equal(isValidTimeZone('Asia/Kolkata'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('day buckets cover every day touching the range, starting at local midnight', () => {
+  const buckets = listBuckets(new Date('2026-10-19T20:00:00Z'), new Date('2026-10-21T01:00:00Z'), 'day', 'Asia/Kolkata', 100);
+  // 20:00 utc is already the 20th in kolkata (+05:30)
+  assert.deepEqual(labels(buckets), ['2026-10-20', '2026-10-21']);
+  assert.equal(buckets[0].start.toISOString(), '2026-10-19T18:30:00.000Z');
+});
+
+test('week buckets start on monday', () => {
+  // 2026-10-21 is a wednesday
+  const buckets = listBuckets(new Date('2026-10-21T12:00:00Z'), new Date('2026-10-27T00:00:00Z'), 'week', 'UTC', 100);
+  assert.deepEqual(labels(buckets), ['2026-10-19', '2026-10-26']);
+});
+
+test('a dst fall-back day has 25 distinct hourly buckets', () => {
+  // europe/london leaves bst on 2026-10-25
+  const from = new Date('2026-10-24T23:00:00Z'); // local midnight, still bst
+  const to = new Date('2026-10-26T00:00:00Z'); // local midnight, gmt
+  const buckets = listBuckets(from, to, 'hour', 'Europe/London', 100);
+  assert.equal(buckets.length, 25);
+  assert.equal(new Set(buckets.map((b) => b.start.getTime())).size, 25);
+  // the repeated wall-clock hour shows up twice, an hour apart
+  assert.equal(labels(buckets).filter((l) => l === '2026-10-25T01:00').length, 2);
+});
+
+test('a dst spring-forward day has 23 hourly buckets, and days still start at midnight', () => {
+  const buckets = listBuckets(new Date('2026-03-29T00:00:00Z'), new Date('2026-03-29T23:00:00Z'), 'hour', 'Europe/London', 100);
+  assert.equal(buckets.length, 23);
+  assert.ok(!labels(buckets).includes('2026-03-29T01:00'));
+
+  const days = listBuckets(new Date('2026-03-28T12:00:00Z'), new Date('2026-03-30T12:00:00Z'), 'day', 'Europe/London', 100);
+  assert.deepEqual(days.map((d) => d.start.toISOString()), [
+    '2026-03-28T00:00:00.000Z',
+    '2026-03-29T00:00:00.000Z',
+    '2026-03-29T23:00:00.000Z',
+  ]);
+});
+
+test('listBuckets returns null past the cap', () => {
+  assert.equal(listBuckets(new Date('2026-01-01T00:00:00Z'), new Date('2026-01-02T00:00:00Z'), 'hour', 'UTC', 23), null);
+  assert.equal(listBuckets(new Date('2026-01-01T00:00:00Z'), new Date('2026-01-02T00:00:00Z'), 'hour', 'UTC', 24).length, 24);
+});
+
+test('bucketsBefore steps back whole buckets from the one containing the date', () => {
+  const at = new Date('2026-10-19T14:30:00Z');
+  assert.equal(bucketsBefore(at, 'hour', 'UTC', 23).toISOString(), '2026-10-18T15:00:00.000Z');
+  assert.equal(bucketsBefore(at, 'day', 'UTC', 6).toISOString(), '2026-10-13T00:00:00.000Z');
+  assert.equal(bucketsBefore(at, 'week', 'UTC', 1).toISOString(), '2026-10-12T00:00:00.000Z');
+});
+
+test('bucketStartExpr truncates in the same timezone with monday weeks', () => {
+  assert.deepEqual(bucketStartExpr('$timestamp', 'week', 'Asia/Kolkata'), {
+    $dateTrunc: { date: '$timestamp', unit: 'week', timezone: 'Asia/Kolkata', startOfWeek: 'monday' },
+  });
+});